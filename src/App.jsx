@@ -1,11 +1,23 @@
 import React from 'react';
-import Dashboard from '../src/Composant/Dashboard'; // Renomme l'import pour que ce soit clair
+import { Routes, Route, Navigate } from 'react-router-dom';
+import Authentification from './Composant/Authentification';
+import Dashboard from './Composant/Dashboard';
+import ProtectedRoute from './Composant/ProtectedRoute';
 
 function App() {
   return (
-    <>
-      <Dashboard />
-    </>
+    <Routes>
+      <Route path="/login" element={<Authentification />} />
+      <Route
+        path="/dashboard/*"
+        element={
+          <ProtectedRoute>
+            <Dashboard />
+          </ProtectedRoute>
+        }
+      />
+      <Route path="*" element={<Navigate to="/dashboard" replace />} />
+    </Routes>
   );
 }
 
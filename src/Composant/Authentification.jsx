@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import '../style/Authentification.css';
 import Logo from '../assets/gt.webp';
+import { isSessionValid, saveSession } from '../service/session';
+import api from '../service/api';
 
 const AuthToast = ({ message, type, onClose }) => {
   useEffect(() => {
@@ -20,24 +22,28 @@ const AuthToast = ({ message, type, onClose }) => {
 };
 
 const Authentification = () => {
+  const location = useLocation();
   const [formData, setFormData] = useState({
     email: '',
     password: ''
   });
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
-  const [toast, setToast] = useState(null);
+  const [toast, setToast] = useState(() => (
+    location.state?.sessionExpired
+      ? { message: 'Votre session a expiré. Veuillez vous reconnecter.', type: 'error' }
+      : null
+  ));
   const navigate = useNavigate();
+  // Page demandée avant la redirection vers la connexion
+  const redirectTo = location.state?.from?.pathname || '/dashboard';
 
   // Vérifier si l'utilisateur est déjà connecté
   useEffect(() => {
-    const isAuthenticated = localStorage.getItem('isAuthenticated');
-    const authToken = localStorage.getItem('authToken');
-    
-    if (isAuthenticated && authToken) {
-      navigate('/dashboard');
+    if (isSessionValid()) {
+      navigate(redirectTo, { replace: true });
     }
-  }, [navigate]);
+  }, [navigate, redirectTo]);
 
   const showToast = (message, type = 'info') => {
     setToast({ message, type });
@@ -86,33 +92,19 @@ const Authentification = () => {
     setIsLoading(true);
     
     try {
-      const response = await fetch('https://gtrafplusbac.vercel.app/api/user/login', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          email: formData.email,
-          mot_de_passe: formData.password
-        })
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(data.error || 'Erreur de connexion');
-      }
+      const data = await api.post('/user/login', {
+        email: formData.email,
+        mot_de_passe: formData.password
+      }, { skipAuth: true });
       
       // Stocker les informations utilisateur
-      localStorage.setItem('user', JSON.stringify(data.user));
-      localStorage.setItem('isAuthenticated', 'true');
-      localStorage.setItem('authToken', data.token || Date.now().toString());
+      saveSession({ user: data.user, token: data.token });
       
       showToast('Connexion réussie ! Redirection en cours...', 'success');
       
       // Redirection avec React Router
       setTimeout(() => {
-        navigate('/dashboard');
+        navigate(redirectTo, { replace: true });
       }, 1500);
       
     } catch (error) {
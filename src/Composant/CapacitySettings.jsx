@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { loadSetting, saveSetting } from '../service/settings';
+import { VEHICLE_CATEGORIES } from '../service/vehicles';
+
+// Nombre d'unités louables par type de véhicule (contrôle des doubles réservations),
+// commun à tous les postes
+const CapacitySettings = ({ showToast, canEdit }) => {
+  const [capacities, setCapacities] = useState(() => loadSetting('vehicleCapacity', {}));
+
+  const handleSave = async () => {
+    // Une capacité vide revient au nombre de véhicules de la flotte
+    const cleaned = Object.fromEntries(
+      Object.entries(capacities).filter(([, value]) => value !== '' && value !== null)
+    );
+    try {
+      await saveSetting('vehicleCapacity', cleaned);
+      setCapacities(cleaned);
+      showToast('success', 'Capacités enregistrées');
+    } catch (error) {
+      console.error('Erreur enregistrement des capacités:', error);
+      showToast('error', error.message || 'Erreur réseau');
+    }
+  };
+
+  return (
+    <section className="settings-section">
+      <h3>Capacité par type de véhicule</h3>
+      <p>Laisser vide pour utiliser le nombre de véhicules en service dans la flotte.</p>
+      <div className="form-grid">
+        {VEHICLE_CATEGORIES.map(category => (
+          <div key={category} className="form-group">
+            <label htmlFor={`capacity-${category}`}>{category}</label>
+            <input
+              id={`capacity-${category}`}
+              type="number"
+              min="0"
+              value={capacities[category] ?? ''}
+              placeholder="Flotte"
+              disabled={!canEdit}
+              onChange={(e) => setCapacities(prev => ({ ...prev, [category]: e.target.value }))}
+            />
+          </div>
+        ))}
+      </div>
+      {canEdit && (
+        <div className="modal-actions">
+          <button className="btn btn-primary" onClick={handleSave}>
+            Enregistrer les capacités
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default CapacitySettings;
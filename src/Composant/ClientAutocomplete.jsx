@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { matchesClient } from '../utils/clients';
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_SUGGESTIONS = 8;
+
+// Recherche d'un client connu pour préremplir un formulaire
+const ClientAutocomplete = ({ clients, onSelect }) => {
+  const [query, setQuery] = useState('');
+
+  const suggestions = query.trim().length >= MIN_QUERY_LENGTH
+    ? clients.filter(client => matchesClient(client, query)).slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  const handleSelect = (client) => {
+    onSelect(client);
+    setQuery('');
+  };
+
+  return (
+    <div className="form-group client-autocomplete">
+      <label htmlFor="client-search">Client existant</label>
+      <input
+        id="client-search"
+        type="search"
+        value={query}
+        placeholder="Rechercher par nom, email ou téléphone..."
+        autoComplete="off"
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.preventDefault();
+          if (e.key === 'Escape') setQuery('');
+        }}
+      />
+      {suggestions.length > 0 && (
+        <ul className="client-suggestions" role="listbox">
+          {suggestions.map(client => (
+            <li key={client.id}>
+              <button type="button" onClick={() => handleSelect(client)}>
+                <strong>{client.name || 'Sans nom'}</strong>
+                <span>{[client.emails[0], client.phones[0]].filter(Boolean).join(' · ')}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {query.trim().length >= MIN_QUERY_LENGTH && suggestions.length === 0 && (
+        <small>Aucun client correspondant</small>
+      )}
+    </div>
+  );
+};
+
+export default ClientAutocomplete;
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import '../style/ClientDuplicates.css';
+import { DUPLICATE_REASONS, getMergeChoices, getMergeUpdates } from '../utils/clients';
+
+const MERGE_FIELDS = [
+  { key: 'name', label: 'Nom' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Téléphone' }
+];
+
+const formatCount = (count, label) => `${count} ${label}${count > 1 ? 's' : ''}`;
+
+// Doublon probable : fiches côte à côte et choix de la fiche fusionnée
+const DuplicateGroup = ({ group, formatDate, canEditDevis, canEditReservations, onMerge, onIgnore }) => {
+  const choices = getMergeChoices(group.profiles);
+  // Par défaut, les valeurs de la saisie la plus récente
+  const [identity, setIdentity] = useState(() => ({
+    name: choices.name[0] || '',
+    email: choices.email[0] || '',
+    phone: choices.phone[0] || ''
+  }));
+
+  const updates = getMergeUpdates(group.profiles, identity);
+  const updateCount = updates.devis.length + updates.reservations.length;
+  const canMerge = updateCount > 0 &&
+    (updates.devis.length === 0 || canEditDevis) &&
+    (updates.reservations.length === 0 || canEditReservations);
+
+  return (
+    <article className="duplicate-group">
+      <header>
+        <div className="duplicate-reasons">
+          {group.reasons.map(reason => (
+            <span key={reason} className="status-badge status-warning">{DUPLICATE_REASONS[reason]}</span>
+          ))}
+        </div>
+        <button type="button" className="btn btn-secondary" onClick={() => onIgnore(group)}>
+          Pas un doublon
+        </button>
+      </header>
+
+      <div className="duplicate-profiles">
+        {group.profiles.map(profile => (
+          <div key={profile.key} className="duplicate-profile">
+            <strong>{profile.name || 'Sans nom'}</strong>
+            <span>{profile.email || 'Email non renseigné'}</span>
+            <span>{profile.phone || 'Téléphone non renseigné'}</span>
+            <small>
+              {[
+                profile.devis.length > 0 && formatCount(profile.devis.length, 'demande'),
+                profile.reservations.length > 0 && formatCount(profile.reservations.length, 'location')
+              ].filter(Boolean).join(', ')}
+              {profile.lastActivity && ` — ${formatDate(profile.lastActivity)}`}
+            </small>
+          </div>
+        ))}
+      </div>
+
+      <div className="duplicate-merge">
+        {MERGE_FIELDS.filter(field => choices[field.key].length > 0).map(field => (
+          <fieldset key={field.key}>
+            <legend>{field.label}</legend>
+            {choices[field.key].map(value => (
+              <label key={value}>
+                <input
+                  type="radio"
+                  name={`${group.id}-${field.key}`}
+                  checked={identity[field.key] === value}
+                  onChange={() => setIdentity(prev => ({ ...prev, [field.key]: value }))}
+                />
+                {value}
+              </label>
+            ))}
+          </fieldset>
+        ))}
+      </div>
+
+      <footer>
+        <span>
+          {updateCount > 0
+            ? `${formatCount(updateCount, 'enregistrement')} à mettre à jour, aucun ne sera supprimé`
+            : 'Toutes les fiches portent déjà ces coordonnées'}
+        </span>
+        <button
+          type="button"
+          className="btn btn-primary"
+          disabled={!canMerge}
+          onClick={() => onMerge(group, identity, updates)}
+        >
+          Fusionner
+        </button>
+      </footer>
+    </article>
+  );
+};
+
+// Liste des doublons probables de l'annuaire des clients
+const ClientDuplicates = ({ groups, ...props }) => {
+  if (groups.length === 0) {
+    return (
+      <div className="empty-state">
+        <p>Aucun doublon probable</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="client-duplicates">
+      {groups.map(group => (
+        <DuplicateGroup key={group.id} group={group} {...props} />
+      ))}
+    </div>
+  );
+};
+
+export default ClientDuplicates;
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { saveSetting } from '../service/settings';
+import { savePreference } from '../service/preferences';
+import { getCurrentUser } from '../service/session';
+import {
+  CURRENCIES,
+  getCurrencySettings,
+  getDisplayCurrency,
+  rebaseRates
+} from '../utils/currency';
+
+// Devise de base, taux de change (administrateurs) et devise d'affichage (par utilisateur)
+const CurrencySettings = ({ showToast, canEdit }) => {
+  const [settings, setSettings] = useState(getCurrencySettings);
+  const [displayCurrency, setDisplayCurrency] = useState(() => getDisplayCurrency());
+
+  const handleDisplayChange = (code) => {
+    setDisplayCurrency(code);
+    savePreference('display-currency', code);
+    showToast('success', `Montants affichés en ${code}`);
+  };
+
+  const handleBaseChange = (base) => {
+    setSettings(prev => ({ ...prev, base, rates: rebaseRates(prev.rates, base) }));
+  };
+
+  // Devise de base et taux communs à tous les postes
+  const handleSave = async () => {
+    const invalid = CURRENCIES.some(currency => !(Number(settings.rates[currency.code]) > 0));
+    if (invalid) {
+      showToast('error', 'Chaque taux de change doit être un nombre positif');
+      return;
+    }
+
+    const user = getCurrentUser();
+    const saved = {
+      ...settings,
+      rates: Object.fromEntries(Object.entries(settings.rates).map(([code, rate]) => [code, Number(rate)])),
+      updatedAt: new Date().toISOString(),
+      updatedBy: user?.email || user?.nom || null
+    };
+    try {
+      await saveSetting('currency', saved);
+      setSettings(getCurrencySettings());
+      showToast('success', 'Taux de change enregistrés');
+    } catch (error) {
+      console.error('Erreur enregistrement des taux de change:', error);
+      showToast('error', error.message || 'Erreur réseau');
+    }
+  };
+
+  return (
+    <section className="settings-section">
+      <h3>Devises</h3>
+
+      <div className="form-group">
+        <label htmlFor="display-currency">Devise d'affichage et d'export</label>
+        <select id="display-currency" value={displayCurrency} onChange={(e) => handleDisplayChange(e.target.value)}>
+          {CURRENCIES.map(currency => (
+            <option key={currency.code} value={currency.code}>{currency.code} — {currency.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="base-currency">Devise de base (saisie des montants)</label>
+        <select
+          id="base-currency"
+          value={settings.base}
+          disabled={!canEdit}
+          onChange={(e) => handleBaseChange(e.target.value)}
+        >
+          {CURRENCIES.map(currency => (
+            <option key={currency.code} value={currency.code}>{currency.code} — {currency.label}</option>
+          ))}
+        </select>
+      </div>
+      <p>Les montants déjà enregistrés conservent leur devise d'origine.</p>
+
+      <div className="form-grid">
+        {CURRENCIES.filter(currency => currency.code !== settings.base).map(currency => (
+          <div key={currency.code} className="form-group">
+            <label htmlFor={`rate-${currency.code}`}>1 {currency.code} = … {settings.base}</label>
+            <input
+              id={`rate-${currency.code}`}
+              type="number"
+              min="0"
+              step="any"
+              value={settings.rates[currency.code] ?? ''}
+              disabled={!canEdit}
+              onChange={(e) => setSettings(prev => ({
+                ...prev,
+                rates: { ...prev.rates, [currency.code]: e.target.value }
+              }))}
+            />
+          </div>
+        ))}
+      </div>
+
+      {settings.updatedAt && (
+        <p>
+          Taux mis à jour le {new Date(settings.updatedAt).toLocaleString('fr-FR')}
+          {settings.updatedBy && ` par ${settings.updatedBy}`}
+        </p>
+      )}
+
+      {canEdit && (
+        <div className="modal-actions">
+          <button className="btn btn-primary" onClick={handleSave}>
+            Enregistrer les taux de change
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default CurrencySettings;
@@ -1,6 +1,86 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import axios from 'axios';
+import { useNavigate, useLocation, useParams, useSearchParams } from 'react-router-dom';
 import '../style/Dashboard.css';
+import {
+  SESSION_EXPIRED_EVENT,
+  clearSession,
+  expireSession,
+  getCurrentUser,
+  getSessionExpiry
+} from '../service/session';
+import api, { fetchAllPages } from '../service/api';
+import { API_BASE_URL, APP_ENV } from '../config';
+import { ROLE_LABELS, getUserRole, hasPermission } from '../service/permissions';
+import { createEmptyFilters, parseSharedFilters, toQueryParams } from '../utils/filters';
+import { loadPreference, savePreference } from '../service/preferences';
+import {
+  DEVIS_RESPONSE_DELAY_HOURS,
+  DEVIS_WORKFLOW,
+  RESERVATION_WORKFLOW,
+  canTransition,
+  countByStatus,
+  createHistoryEntry,
+  getNextStatuses,
+  getStatus,
+  getStatusOptions,
+  isResponseOverdue
+} from '../utils/workflow';
+import { createQuoteVersion, getQuoteCurrency, getQuoteNumber } from '../utils/quote';
+import {
+  CURRENCIES,
+  exportAmount,
+  formatAmount,
+  getBaseCurrency,
+  getDisplayCurrency
+} from '../utils/currency';
+import {
+  BUDGET_BRACKETS,
+  DEVIS_API_URL,
+  buildDevisPayload,
+  fetchAllDevis,
+  getBudgetBrackets,
+  mapDevisFromApi
+} from '../service/devis';
+import {
+  DRIVER_OPTION,
+  EQUIPMENT_OPTIONS,
+  INSURANCE_OPTIONS,
+  PAYMENT_METHODS,
+  RESERVATION_API_URL,
+  UNLIMITED_KM_OPTION,
+  buildReservationPayload,
+  getReservationOptions,
+  mapReservationFromApi
+} from '../service/reservations';
+import {
+  VEHICLE_API_URL,
+  VEHICLE_CATEGORIES,
+  VEHICLE_STATUSES,
+  buildVehiclePayload,
+  formatVehicleLabel,
+  mapVehicleFromApi
+} from '../service/vehicles';
+import { RELEASED_STATUSES, findConflicts, hasConflicts, resolveCapacity } from '../utils/availability';
+import { CONTRACT_STATUSES, INVOICE_STATUSES, convertPrice, createInvoice } from '../utils/invoice';
+import { INSPECTION_STAGES, getInspectionStage } from '../utils/inspection';
+import { PAYMENT_STATUS_WORKFLOW, computePaidAmount, createPayment, getPaymentStatus } from '../utils/payments';
+import { fetchSettings, loadSetting, saveSetting } from '../service/settings';
+import { fetchClientDirectory, invalidateClientDirectory, mergeClientRecords } from '../service/clients';
+import { findDuplicateGroups, matchesClient } from '../utils/clients';
+import { computePrice, resolvePricingRules } from '../utils/pricing';
+import FilterPanel from './FilterPanel';
+import CapacitySettings from './CapacitySettings';
+import CurrencySettings from './CurrencySettings';
+import PricingSettings from './PricingSettings';
+import PriceBreakdown from './PriceBreakdown';
+import ReservationCalendar from './ReservationCalendar';
+import DevisBoard from './DevisBoard';
+import QuoteBuilder from './QuoteBuilder';
+import RentalDocuments from './RentalDocuments';
+import PaymentLedger from './PaymentLedger';
+import VehicleInspection, { InspectionReport } from './VehicleInspection';
+import ClientAutocomplete from './ClientAutocomplete';
+import ClientDuplicates from './ClientDuplicates';
 
 // Storage key
 const STORAGE_KEY = 'gtraf_dashboard_v1';
@@ -12,6 +92,49 @@ const initialData = {
   portfolio: []
 };
 
+// Onglets ayant des modales adressables par URL, et ressource correspondante
+// (ex: /dashboard/reservations/42/modifier <-> modale 'edit-reservation')
+const MODAL_RESOURCES = {
+  devis: 'devis',
+  reservations: 'reservation',
+  vehicules: 'vehicule',
+  clients: 'client'
+};
+
+const MODAL_ROUTE_ACTIONS = {
+  nouveau: 'create',
+  modifier: 'edit',
+  chiffrage: 'quote',
+  contrat: 'contract',
+  facture: 'invoice',
+  'etat-des-lieux': 'handover'
+};
+
+// Chemin (relatif à /dashboard) d'une modale 'create-devis', 'view-reservation'...
+const getModalPath = (type, record) => {
+  const [action, ...rest] = type.split('-');
+  const resource = rest.join('-');
+  const tab = Object.keys(MODAL_RESOURCES).find(key => MODAL_RESOURCES[key] === resource);
+  if (!tab) return null;
+
+  if (action === 'create') return `${tab}/nouveau`;
+  if (!record?.id) return null;
+  const routeAction = Object.keys(MODAL_ROUTE_ACTIONS).find(key => MODAL_ROUTE_ACTIONS[key] === action);
+  return routeAction ? `${tab}/${record.id}/${routeAction}` : `${tab}/${record.id}`;
+};
+
+// Modale décrite par les segments d'URL /dashboard/:tab/:recordId?/:action?
+const getModalFromRoute = (tab, segment, action) => {
+  const resource = MODAL_RESOURCES[tab];
+  if (!resource || !segment) return null;
+
+  if (segment === 'nouveau') return { type: `create-${resource}`, recordId: null };
+  return {
+    type: `${action ? MODAL_ROUTE_ACTIONS[action] || 'view' : 'view'}-${resource}`,
+    recordId: segment
+  };
+};
+
 // Utility functions
 const formatDate = (date) => {
   return new Date(date).toLocaleDateString('fr-FR');
@@ -52,35 +175,35 @@ const downloadCSV = (filename, data) => {
   URL.revokeObjectURL(url);
 };
 
-const calcCarPrice = (reservation) => {
-  if (!reservation.startDate || !reservation.endDate || !reservation.startTime || !reservation.endTime) return 0;
-  
-  const start = new Date(`${reservation.startDate}T${reservation.startTime}`);
-  const end = new Date(`${reservation.endDate}T${reservation.endTime}`);
-  const days = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-  
-  let basePrice = 120; // Base price per day
-  
-  // Vehicle type pricing
-  const vehiclePricing = {
-    'Citadine': 80,
-    'Berline': 120,
-    'SUV/4x4': 180,
-    'Utilitaire': 100,
-    'Minibus': 200
-  };
-  
-  basePrice = vehiclePricing[reservation.vehicleType] || 120;
-  
-  let totalPrice = basePrice * days;
-  
-  // Options pricing
-  if (reservation.driver) totalPrice += 50 * days;
-  if (reservation.unlimitedKm) totalPrice += 30 * days;
-  if (reservation.insurances?.includes('Tous risques')) totalPrice += 25 * days;
-  if (reservation.equipments?.length > 0) totalPrice += 10 * reservation.equipments.length * days;
-  
-  return totalPrice;
+// Comparaison typée pour le tri local (les dates arrivent en chaînes ISO)
+const compareValues = (a, b, type = 'string') => {
+  const aEmpty = a === null || a === undefined || a === '';
+  const bEmpty = b === null || b === undefined || b === '';
+  if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+
+  if (type === 'number') return Number(a) - Number(b);
+  if (type === 'date') return new Date(a).getTime() - new Date(b).getTime();
+
+  return String(a).localeCompare(String(b), 'fr', { numeric: true, sensitivity: 'base' });
+};
+
+// Type de tri des colonnes calculées de l'annuaire des clients
+const CLIENT_SORT_TYPES = {
+  devisCount: 'number',
+  reservationCount: 'number',
+  lastActivity: 'date'
+};
+
+// Valeur retardée, pour ne pas solliciter l'API à chaque frappe
+const useDebouncedValue = (value, delay = 400) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debouncedValue;
 };
 
 // Toast component
@@ -103,6 +226,12 @@ const Toast = ({ message, type, onClose }) => {
   );
 };
 
+// Status badge component
+const StatusBadge = ({ workflow, value }) => {
+  const status = getStatus(workflow, value);
+  return <span className={`status-badge status-${status.color}`}>{status.label}</span>;
+};
+
 // Confirm Dialog component
 const ConfirmDialog = ({ isOpen, title, message, onConfirm, onCancel }) => {
   if (!isOpen) return null;
@@ -126,29 +255,26 @@ const ConfirmDialog = ({ isOpen, title, message, onConfirm, onCancel }) => {
 };
 
 // DataTable component
-const DataTable = ({ columns, data, onEdit, onDelete, onView, searchTerm, sortField, sortDirection, onSort }) => {
+// `serverSide` : les données arrivent déjà triées et filtrées par l'API
+const DataTable = ({ columns, data, onEdit, onDelete, onView, searchTerm, sortField, sortDirection, onSort, serverSide = false }) => {
   const sortedData = useMemo(() => {
-    if (!sortField) return data;
+    if (!sortField || serverSide) return data;
+
+    const sortType = columns.find(column => column.key === sortField)?.type;
+    const direction = sortDirection === 'asc' ? 1 : -1;
     
-    return [...data].sort((a, b) => {
-      const aValue = a[sortField];
-      const bValue = b[sortField];
-      
-      if (aValue < bValue) return sortDirection === 'asc' ? -1 : 1;
-      if (aValue > bValue) return sortDirection === 'asc' ? 1 : -1;
-      return 0;
-    });
-  }, [data, sortField, sortDirection]);
+    return [...data].sort((a, b) => direction * compareValues(a[sortField], b[sortField], sortType));
+  }, [data, columns, sortField, sortDirection, serverSide]);
 
   const filteredData = useMemo(() => {
-    if (!searchTerm) return sortedData;
+    if (!searchTerm || serverSide) return sortedData;
     
     return sortedData.filter(item =>
       Object.values(item).some(value =>
         String(value).toLowerCase().includes(searchTerm.toLowerCase())
       )
     );
-  }, [sortedData, searchTerm]);
+  }, [sortedData, searchTerm, serverSide]);
 
   return (
     <div className="table-container">
@@ -209,12 +335,62 @@ const DataTable = ({ columns, data, onEdit, onDelete, onView, searchTerm, sortFi
   );
 };
 
+const PAGE_SIZES = [10, 20, 50, 100];
+
+// Pagination component (pagination côté serveur)
+const Pagination = ({ page, pageSize, total, onPageChange, onPageSizeChange }) => {
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  const from = total === 0 ? 0 : (page - 1) * pageSize + 1;
+  const to = Math.min(page * pageSize, total);
+
+  return (
+    <div className="pagination">
+      <div className="pagination-size">
+        <label htmlFor="page-size">Afficher</label>
+        <select
+          id="page-size"
+          value={pageSize}
+          onChange={(e) => onPageSizeChange(Number(e.target.value))}
+        >
+          {PAGE_SIZES.map(size => (
+            <option key={size} value={size}>{size}</option>
+          ))}
+        </select>
+        <span>par page</span>
+      </div>
+
+      <span className="pagination-summary">{from}–{to} sur {total}</span>
+
+      <div className="pagination-nav">
+        <button className="btn btn-secondary" onClick={() => onPageChange(1)} disabled={page <= 1} aria-label="Première page">
+          «
+        </button>
+        <button className="btn btn-secondary" onClick={() => onPageChange(page - 1)} disabled={page <= 1} aria-label="Page précédente">
+          ‹
+        </button>
+        <span className="pagination-page">Page {page} / {totalPages}</span>
+        <button className="btn btn-secondary" onClick={() => onPageChange(page + 1)} disabled={page >= totalPages} aria-label="Page suivante">
+          ›
+        </button>
+        <button className="btn btn-secondary" onClick={() => onPageChange(totalPages)} disabled={page >= totalPages} aria-label="Dernière page">
+          »
+        </button>
+      </div>
+    </div>
+  );
+};
+
 // Home Tab component
-const HomeTab = ({ data, searchTerm, formatDate }) => {
+const HomeTab = ({ data, searchTerm, formatDate, can }) => {
+  const canViewDevis = can('devis:view');
+  const canViewReservations = can('reservations:view');
+
   const [stats, setStats] = useState({
     devis: 0,
     reservations: 0,
     portfolio: 0,
+    devisByStatus: {},
+    statusesTruncated: false,
     loading: true,
     error: null
   });
@@ -222,16 +398,18 @@ const HomeTab = ({ data, searchTerm, formatDate }) => {
   useEffect(() => {
     const fetchStats = async () => {
       try {
-        // Récupérer les stats en parallèle
-        const [devisRes, reservationsRes, portfolioRes] = await Promise.all([
-          axios.get('https://gtrafplusbac.vercel.app/api/contact/count'),
-          axios.get('https://gtrafplusbac.vercel.app/api/reservation/count'),
-         
+        // Récupérer les stats en parallèle ; les statuts sont comptés sur les demandes elles-mêmes
+        const [devisRes, reservationsRes, allDevis] = await Promise.all([
+          canViewDevis ? api.get('/contact/count') : null,
+          canViewReservations ? api.get('/reservation/count') : null,
+          canViewDevis ? fetchAllDevis() : null
         ]);
 
         setStats({
-          devis: devisRes.data.count || 0,
-          reservations: reservationsRes.data.count || 0,
+          devis: devisRes?.count || 0,
+          reservations: reservationsRes?.count || 0,
+          devisByStatus: allDevis ? countByStatus(DEVIS_WORKFLOW, allDevis.devis) : {},
+          statusesTruncated: Boolean(allDevis?.truncated),
           loading: false,
           error: null
         });
@@ -246,23 +424,23 @@ const HomeTab = ({ data, searchTerm, formatDate }) => {
     };
 
     fetchStats();
-  }, []);
+  }, [canViewDevis, canViewReservations]);
 
   const statCards = [
-    {
+    canViewDevis && {
       title: 'Total Devis',
       value: stats.loading ? '...' : stats.devis,
       icon: '📋',
       color: 'primary'
     },
-    {
+    canViewReservations && {
       title: 'Réservations',
       value: stats.loading ? '...' : stats.reservations,
       icon: '🚗',
       color: 'success'
     },
 
-  ];
+  ].filter(Boolean);
 
   return (
     <div className="home-tab">
@@ -284,13 +462,30 @@ const HomeTab = ({ data, searchTerm, formatDate }) => {
         ))}
       </div>
 
-      <RecentActivity />
+      {canViewDevis && !stats.loading && stats.statusesTruncated && (
+        <p className="directory-warning">
+          Décompte par statut incomplet : le serveur n'a pas renvoyé toutes les demandes.
+        </p>
+      )}
+
+      {canViewDevis && !stats.loading && (
+        <div className="status-counts">
+          {DEVIS_WORKFLOW.statuses.map(status => (
+            <div key={status.value} className="status-count">
+              <StatusBadge workflow={DEVIS_WORKFLOW} value={status.value} />
+              <strong>{stats.devisByStatus[status.value] || 0}</strong>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <RecentActivity canViewDevis={canViewDevis} canViewReservations={canViewReservations} />
     </div>
   );
 };
 
 
-const RecentActivity = () => {
+const RecentActivity = ({ canViewDevis, canViewReservations }) => {
   const [data, setData] = useState({ devis: [], reservations: [] });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -319,21 +514,11 @@ const RecentActivity = () => {
       setError(null);
 
       try {
-        const [devisRes, reservationsRes] = await Promise.all([
-          fetch('https://gtrafplusbac.vercel.app/api/contact?limit=5&sortBy=date_creation&order=DESC'),
-          fetch('https://gtrafplusbac.vercel.app/api/reservation?limit=5&sortBy=date_heure_depart&order=DESC')
+        const [devisList, reservationsList] = await Promise.all([
+          canViewDevis ? api.list('/contact', { limit: 5, sortBy: 'date_creation', order: 'DESC' }) : [],
+          canViewReservations ? api.list('/reservation', { limit: 5, sortBy: 'date_heure_depart', order: 'DESC' }) : []
         ]);
 
-        if (!devisRes.ok) throw new Error('Échec du chargement des devis');
-        if (!reservationsRes.ok) throw new Error('Échec du chargement des réservations');
-
-        const devisData = await devisRes.json();
-        const reservationsData = await reservationsRes.json();
-
-        // Extraire les listes depuis .data ou utiliser directement
-        const devisList = Array.isArray(devisData.data) ? devisData.data : devisData;
-        const reservationsList = Array.isArray(reservationsData.data) ? reservationsData.data : reservationsData;
-
         setData({
           devis: devisList.slice(0, 3), // Garder les 3 plus récents
           reservations: reservationsList.slice(0, 3)
@@ -347,7 +532,7 @@ const RecentActivity = () => {
     };
 
     fetchData();
-  }, []);
+  }, [canViewDevis, canViewReservations]);
 
   if (loading) return <div className="loading">Chargement de l'activité récente...</div>;
   if (error) return <div className="error">Erreur: {error}</div>;
@@ -358,127 +543,250 @@ const RecentActivity = () => {
       <div className="activity-grid">
         
         {/* Dernières demandes de devis */}
-        <div className="activity-card">
-          <h4>Dernières demandes de devis</h4>
-          <div className="activity-list">
-            {data.devis.length > 0 ? (
-              data.devis.map((devis, index) => (
-                <div key={devis.id || index} className="activity-item">
-                  <div className="activity-content">
-                    <strong>{devis.nom || 'Nom inconnu'}</strong>
-                    <span>{devis.project_type || 'Type de projet non spécifié'}</span>
-                    {devis.budget && <small>Budget: {devis.budget}</small>}
+        {canViewDevis && (
+          <div className="activity-card">
+            <h4>Dernières demandes de devis</h4>
+            <div className="activity-list">
+              {data.devis.length > 0 ? (
+                data.devis.map((devis, index) => (
+                  <div key={devis.id || index} className="activity-item">
+                    <div className="activity-content">
+                      <strong>{devis.nom || 'Nom inconnu'}</strong>
+                      <span>{devis.project_type || 'Type de projet non spécifié'}</span>
+                      {devis.budget && <small>Budget: {devis.budget}</small>}
+                    </div>
+                    <span className="activity-date">
+                      {formatDate(devis.date_creation)}
+                    </span>
                   </div>
-                  <span className="activity-date">
-                    {formatDate(devis.date_creation)}
-                  </span>
-                </div>
-              ))
-            ) : (
-              <p className="empty-message">Aucune demande de devis</p>
-            )}
+                ))
+              ) : (
+                <p className="empty-message">Aucune demande de devis</p>
+              )}
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Dernières réservations */}
-        <div className="activity-card">
-          <h4>Dernières réservations</h4>
-          <div className="activity-list">
-            {data.reservations.length > 0 ? (
-              data.reservations.map((reservation, index) => (
-                <div key={reservation.id || index} className="activity-item">
-                  <div className="activity-content">
-                    <strong>{reservation.nom_client || 'Client inconnu'}</strong>
-                    <span>{reservation.type_modele_voiture || 'Modèle non spécifié'}</span>
-                    <p><span className="detail-label">Départ:</span> {formatDate(reservation.date_heure_depart)}</p>
-                    <p><span className="detail-label">Retour:</span> {formatDate(reservation.date_heure_retour)}</p>
-                    <p><span className="detail-label">Prise:</span> {reservation.lieu_prise_en_charge}</p>
-                    <p><span className="detail-label">Retour:</span> {reservation.lieu_restitution}</p>
-                    {reservation.options && reservation.options.length > 0 && (
-                      <p><span className="detail-label">Options:</span> {reservation.options.join(', ')}</p>
-                    )}
-                    {reservation.commentaires && (
-                      <p><span className="detail-label">Commentaire:</span> {reservation.commentaires}</p>
-                    )}
+        {canViewReservations && (
+          <div className="activity-card">
+            <h4>Dernières réservations</h4>
+            <div className="activity-list">
+              {data.reservations.length > 0 ? (
+                data.reservations.map((reservation, index) => (
+                  <div key={reservation.id || index} className="activity-item">
+                    <div className="activity-content">
+                      <strong>{reservation.nom_client || 'Client inconnu'}</strong>
+                      <span>{reservation.type_modele_voiture || 'Modèle non spécifié'}</span>
+                      <p><span className="detail-label">Départ:</span> {formatDate(reservation.date_heure_depart)}</p>
+                      <p><span className="detail-label">Retour:</span> {formatDate(reservation.date_heure_retour)}</p>
+                      <p><span className="detail-label">Prise:</span> {reservation.lieu_prise_en_charge}</p>
+                      <p><span className="detail-label">Retour:</span> {reservation.lieu_restitution}</p>
+                      {reservation.options && reservation.options.length > 0 && (
+                        <p><span className="detail-label">Options:</span> {reservation.options.join(', ')}</p>
+                      )}
+                      {reservation.commentaires && (
+                        <p><span className="detail-label">Commentaire:</span> {reservation.commentaires}</p>
+                      )}
+                    </div>
+                    <span className="activity-date">
+                      {formatDate(reservation.date_heure_depart)}
+                    </span>
                   </div>
-                  <span className="activity-date">
-                    {formatDate(reservation.date_heure_depart)}
-                  </span>
-                </div>
-              ))
-            ) : (
-              <p className="empty-message">Aucune réservation</p>
-            )}
+                ))
+              ) : (
+                <p className="empty-message">Aucune réservation</p>
+              )}
+            </div>
           </div>
-        </div>
+        )}
       </div>
     </div>
   );
 };
 
-const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortConfig, handleSort, exportDevisCSV, setConfirmDialog }) => {
-  const API_URL = 'https://gtrafplusbac.vercel.app/api/contact';
+// Colonnes triables côté serveur pour /api/contact
+const DEVIS_SORT_FIELDS = {
+  name: 'nom',
+  email: 'email',
+  projectType: 'project_type',
+  budget: 'budget',
+  status: 'statut',
+  createdAt: 'date_creation'
+};
+
+const projectTypes = [
+  'Construction neuve', 'Rénovation complète', 'Extension/Agrandissement',
+  'Aménagement commercial', 'Autre projet'
+];
+
+// Champs du panneau de filtres (vues enregistrées) des devis
+const DEVIS_FILTER_FIELDS = [
+  {
+    key: 'createdAt',
+    label: 'Date de création',
+    type: 'dateRange',
+    params: ['date_min', 'date_max']
+  },
+  {
+    key: 'message',
+    label: 'Texte du message',
+    type: 'text',
+    placeholder: 'ex: villa, toiture...',
+    param: 'message'
+  },
+  {
+    key: 'statuses',
+    label: 'Statut',
+    type: 'multiselect',
+    options: getStatusOptions(DEVIS_WORKFLOW),
+    accessor: (item) => item.status,
+    param: 'statut'
+  },
+  {
+    key: 'projectTypes',
+    label: 'Types de projet',
+    type: 'multiselect',
+    options: projectTypes,
+    accessor: (item) => item.projectType,
+    param: 'project_type'
+  },
+  {
+    key: 'budgets',
+    label: 'Tranches de budget',
+    type: 'multiselect',
+    options: Object.values(BUDGET_BRACKETS).flat(),
+    accessor: (item) => item.budget,
+    param: 'budget'
+  }
+];
 
+const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortConfig, handleSort, exportDevisCSV, setConfirmDialog, can }) => {
   const [data, setData] = useState({ devis: [] });
   const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ page: 1, pageSize: 20, total: 0 });
+  const { page, pageSize } = pagination;
+
+  // Filtres initialisés depuis un lien partagé (?filtres=...)
+  const [searchParams] = useSearchParams();
+  const [filters, setFilters] = useState(() => parseSharedFilters(DEVIS_FILTER_FIELDS, searchParams.get('filtres')));
+  const filterParams = useMemo(() => toQueryParams(DEVIS_FILTER_FIELDS, filters), [filters]);
+
+  const sortBy = DEVIS_SORT_FIELDS[sortConfig.field] || 'date_creation';
+  const order = sortConfig.field ? sortConfig.direction.toUpperCase() : 'DESC';
+
+  // Nouvelle recherche, nouveaux filtres ou nouveau tri : retour à la première page
+  const queryKey = `${searchTerm}|${sortBy}|${order}|${JSON.stringify(filterParams)}`;
+  const [lastQueryKey, setLastQueryKey] = useState(queryKey);
+  if (queryKey !== lastQueryKey) {
+    setLastQueryKey(queryKey);
+    setPagination(prev => ({ ...prev, page: 1 }));
+  }
 
-  const [formData, setFormData] = useState({
+  const [formData, setFormData] = useState(() => ({
     name: '',
     email: '',
     phone: '',
     projectType: '',
     budget: '',
+    budgetCurrency: getBaseCurrency(),
     message: ''
-  });
-
-  const [filters, setFilters] = useState({
-    projectType: '',
-    budget: ''
-  });
-
-  const projectTypes = [
-    'Construction neuve', 'Rénovation complète', 'Extension/Agrandissement',
-    'Aménagement commercial', 'Autre projet'
-  ];
+  }));
+  const [statusComment, setStatusComment] = useState('');
 
-  const budgets = [
-    'Moins de 100k€', '100k€ - 500k€', '500k€ - 1M€', '1M€ - 5M€', 'Plus de 5M€'
-  ];
-
-  // Charger tous les devis au montage
-  useEffect(() => {
-    fetchDevis();
-  }, []);
+  // Affichage en liste paginée ou en tableau par étape (mémorisé par utilisateur)
+  const [viewMode, setViewMode] = useState(() => loadPreference('devis-view-mode', 'liste'));
+  const [boardVersion, setBoardVersion] = useState(0);
 
-  const fetchDevis = async () => {
+  const fetchDevis = useCallback(async () => {
     setLoading(true);
     try {
-      const response = await fetch(`${API_URL}?sortBy=date_creation&order=DESC`);
-      const result = await response.json();
-
-      if (response.ok) {
-        const mappedData = result.data.map(item => ({
-          id: item.id.toString(),
-          name: item.nom,
-          email: item.email,
-          phone: item.telephone,
-          projectType: item.project_type,
-          budget: item.budget,
-          message: item.message,
-          createdAt: item.date_creation
-        }));
-        setData({ devis: mappedData });
-      } else {
-        throw new Error(result.error || 'Échec du chargement des devis');
+      const search = searchTerm.trim() || undefined;
+      const [list, countRes] = await Promise.all([
+        api.list(DEVIS_API_URL, {
+          sortBy,
+          order,
+          search,
+          ...filterParams,
+          limit: pageSize,
+          offset: (page - 1) * pageSize
+        }),
+        api.get(`${DEVIS_API_URL}/count`, { search, ...filterParams })
+      ]);
+      const total = countRes.count || 0;
+
+      // Page devenue vide (ex: après une suppression) : revenir à la dernière page
+      if (list.length === 0 && page > 1) {
+        setPagination(prev => ({ ...prev, page: Math.max(1, Math.ceil(total / pageSize)) }));
+        return;
       }
+
+      setData({ devis: list.map(mapDevisFromApi) });
+      setPagination(prev => ({ ...prev, total }));
     } catch (error) {
       console.error('Erreur lors du chargement des devis:', error);
       showToast('error', 'Impossible de charger les demandes de devis');
     } finally {
       setLoading(false);
     }
+  }, [page, pageSize, sortBy, order, searchTerm, filterParams, showToast]);
+
+  // Charger la page courante des devis
+  useEffect(() => {
+    fetchDevis();
+  }, [fetchDevis]);
+
+  // Recharger la liste et le tableau après une modification
+  const refreshDevis = () => {
+    fetchDevis();
+    setBoardVersion(version => version + 1);
+  };
+
+  const handleViewModeChange = (mode) => {
+    setViewMode(mode);
+    savePreference('devis-view-mode', mode);
+  };
+
+  // Annuaire des clients pour préremplir une nouvelle demande
+  const [clients, setClients] = useState([]);
+  const isCreating = modal.isOpen && modal.type === 'create-devis';
+  const canViewReservations = can('reservations:view');
+  useEffect(() => {
+    if (!isCreating) return;
+
+    fetchClientDirectory({ withDevis: true, withReservations: canViewReservations })
+      .then(directory => setClients(directory.clients))
+      .catch(error => console.error('Erreur chargement annuaire clients:', error));
+  }, [isCreating, canViewReservations]);
+
+  const handleSelectClient = (client) => {
+    setFormData(prev => ({
+      ...prev,
+      name: client.name,
+      email: client.emails[0] || '',
+      phone: client.phones[0] || ''
+    }));
   };
 
+  // Ouverture directe d'un devis depuis l'URL (/dashboard/devis/:id)
+  useEffect(() => {
+    if (loading || !modal.recordId) return;
+
+    const devis = data.devis.find(item => item.id === modal.recordId);
+    if (devis) {
+      setFormData(devis);
+      return;
+    }
+
+    // Devis absent de la page courante : le charger directement
+    api.get(`${DEVIS_API_URL}/${modal.recordId}`)
+      .then(result => setFormData(mapDevisFromApi(result.data || result)))
+      .catch(() => {
+        showToast('error', 'Demande de devis introuvable');
+        closeModal();
+      });
+  }, [loading, modal.recordId, data.devis, showToast, closeModal]);
+
   // Soumettre (créer ou modifier)
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -493,41 +801,25 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
       return;
     }
 
-    const payload = {
-      nom: formData.name.trim(),
-      email: formData.email.trim(),
-      telephone: formData.phone?.trim() || null,
-      project_type: formData.projectType,
-      budget: formData.budget || null,
-      message: formData.message.trim()
-    };
+    // Une nouvelle demande entre dans le cycle de vie au statut initial
+    const payload = buildDevisPayload(modal.data ? formData : {
+      ...formData,
+      status: DEVIS_WORKFLOW.initial,
+      statusHistory: [createHistoryEntry(DEVIS_WORKFLOW.initial, { user: getCurrentUser() })]
+    });
 
     try {
-      let response;
       if (modal.data) {
-        response = await fetch(`${API_URL}/${modal.data.id}`, {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        });
+        await api.put(`${DEVIS_API_URL}/${modal.data.id}`, payload);
       } else {
-        response = await fetch(API_URL, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        });
+        await api.post(DEVIS_API_URL, payload);
       }
 
-      const result = await response.json();
-
-      if (response.ok) {
-        showToast('success', modal.data ? 'Devis modifié avec succès' : 'Demande de devis enregistrée');
-        fetchDevis();
-        setFormData({ name: '', email: '', phone: '', projectType: '', budget: '', message: '' });
-        closeModal();
-      } else {
-        throw new Error(result.error || 'Échec de l\'enregistrement');
-      }
+      showToast('success', modal.data ? 'Devis modifié avec succès' : 'Demande de devis enregistrée');
+      invalidateClientDirectory();
+      refreshDevis();
+      setFormData({ name: '', email: '', phone: '', projectType: '', budget: '', budgetCurrency: getBaseCurrency(), message: '' });
+      closeModal();
     } catch (error) {
       console.error('Erreur lors de l\'enregistrement:', error);
       showToast('error', error.message || 'Erreur réseau');
@@ -539,11 +831,65 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
     openModal('edit-devis', devis);
   };
 
+  // Transition de statut, enregistrée avec son historique sur le devis
+  const handleStatusChange = async (devis, nextStatus) => {
+    if (!canTransition(DEVIS_WORKFLOW, devis.status, nextStatus)) {
+      showToast('error', 'Transition de statut non autorisée');
+      return;
+    }
+
+    const updated = {
+      ...devis,
+      status: nextStatus,
+      statusHistory: [
+        ...devis.statusHistory,
+        createHistoryEntry(nextStatus, { user: getCurrentUser(), comment: statusComment })
+      ]
+    };
+
+    try {
+      await api.put(`${DEVIS_API_URL}/${devis.id}`, buildDevisPayload(updated));
+      showToast('success', `Statut : ${getStatus(DEVIS_WORKFLOW, nextStatus).label}`);
+      setFormData(updated);
+      setStatusComment('');
+      refreshDevis();
+    } catch (error) {
+      console.error('Erreur changement de statut:', error);
+      showToast('error', error.message || 'Erreur réseau');
+    }
+  };
+
   const handleView = (devis) => {
     setFormData(devis);
     openModal('view-devis', devis);
   };
 
+  const handleOpenQuote = (devis) => {
+    setFormData(devis);
+    openModal('quote-devis', devis);
+  };
+
+  // Nouvelle version du chiffrage, ajoutée à l'historique du devis
+  const handleSaveQuote = async (lines, note, currency) => {
+    const quotes = formData.quotes || [];
+    const updated = {
+      ...formData,
+      quotes: [...quotes, createQuoteVersion(quotes, lines, { user: getCurrentUser(), note, currency })]
+    };
+
+    try {
+      await api.put(`${DEVIS_API_URL}/${formData.id}`, buildDevisPayload(updated));
+      showToast('success', `Chiffrage version ${updated.quotes.length} enregistré`);
+      setFormData(updated);
+      refreshDevis();
+      return true;
+    } catch (error) {
+      console.error('Erreur enregistrement du chiffrage:', error);
+      showToast('error', error.message || 'Erreur réseau');
+      return false;
+    }
+  };
+
   const handleDelete = (devis) => {
     setConfirmDialog({
       isOpen: true,
@@ -551,15 +897,9 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
       message: `Êtes-vous sûr de vouloir supprimer le devis de ${devis.name} ?`,
       onConfirm: async () => {
         try {
-          const response = await fetch(`${API_URL}/${devis.id}`, { method: 'DELETE' });
-          const result = await response.json();
-
-          if (response.ok) {
-            showToast('success', 'Devis supprimé');
-            fetchDevis();
-          } else {
-            throw new Error(result.error || 'Échec de la suppression');
-          }
+          await api.delete(`${DEVIS_API_URL}/${devis.id}`);
+          showToast('success', 'Devis supprimé');
+          refreshDevis();
         } catch (error) {
           console.error('Erreur suppression:', error);
           showToast('error', error.message || 'Erreur réseau');
@@ -571,10 +911,17 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
     });
   };
 
-  const filteredDevis = data.devis.filter(devis => {
-    return (!filters.projectType || devis.projectType === filters.projectType) &&
-           (!filters.budget || devis.budget === filters.budget);
-  });
+  // Copie un lien vers la liste avec les filtres courants
+  const handleShareView = async () => {
+    const url = `${window.location.origin}/dashboard/devis?filtres=${encodeURIComponent(JSON.stringify(filters))}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      showToast('success', 'Lien de la vue copié dans le presse-papiers');
+    } catch (error) {
+      console.error('Copie du lien impossible:', error);
+      showToast('error', 'Impossible de copier le lien');
+    }
+  };
 
   const formatDate = (isoString) => {
     return new Date(isoString).toLocaleDateString('fr-FR');
@@ -591,10 +938,17 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
       label: 'Message',
       render: (value) => value.length > 50 ? value.substring(0, 50) + '...' : value
     },
+    {
+      key: 'status',
+      label: 'Statut',
+      sortable: true,
+      render: (value) => <StatusBadge workflow={DEVIS_WORKFLOW} value={value} />
+    },
     {
       key: 'createdAt',
       label: 'Date',
       sortable: true,
+      type: 'date',
       render: (value) => formatDate(value)
     },
     {
@@ -605,18 +959,22 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
           <button className="btn btn-sm btn-view" onClick={() => handleView(row)} title="Voir">
             <i className="fa fa-eye"></i>
           </button>
-          <button className="btn btn-sm btn-edit" onClick={() => handleEdit(row)} title="Modifier">
-            <i className="fa fa-edit"></i>
-          </button>
-          <button className="btn btn-sm btn-delete" onClick={() => handleDelete(row)} title="Supprimer">
-            <i className="fa fa-trash"></i>
-          </button>
+          {can('devis:edit') && (
+            <button className="btn btn-sm btn-edit" onClick={() => handleEdit(row)} title="Modifier">
+              <i className="fa fa-edit"></i>
+            </button>
+          )}
+          {can('devis:delete') && (
+            <button className="btn btn-sm btn-delete" onClick={() => handleDelete(row)} title="Supprimer">
+              <i className="fa fa-trash"></i>
+            </button>
+          )}
         </div>
       )
     }
   ];
 
-  if (loading) {
+  if (loading && data.devis.length === 0) {
     return <div className="loading">Chargement des demandes de devis...</div>;
   }
 
@@ -624,47 +982,78 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
     <div className="devis-tab">
       <div className="tab-header">
         <h2>Demandes de Devis</h2>
-        <button className="btn btn-primary" onClick={() => openModal('create-devis')}>
-          <i className="fa fa-plus"></i> Nouvelle demande
-        </button>
+        <div className="view-toggle">
+          <button
+            className={viewMode === 'liste' ? 'active' : ''}
+            onClick={() => handleViewModeChange('liste')}
+          >
+            <i className="fa fa-list"></i> Liste
+          </button>
+          <button
+            className={viewMode === 'tableau' ? 'active' : ''}
+            onClick={() => handleViewModeChange('tableau')}
+          >
+            <i className="fa fa-columns"></i> Tableau
+          </button>
+        </div>
+        {can('devis:edit') && (
+          <button className="btn btn-primary" onClick={() => openModal('create-devis')}>
+            <i className="fa fa-plus"></i> Nouvelle demande
+          </button>
+        )}
       </div>
 
-      <div className="filters-bar">
-        <select
-          value={filters.projectType}
-          onChange={(e) => setFilters(prev => ({ ...prev, projectType: e.target.value }))}
-          className="form-select"
-        >
-          <option value="">Tous les types</option>
-          {projectTypes.map(type => (
-            <option key={type} value={type}>{type}</option>
-          ))}
-        </select>
-
-        <select
-          value={filters.budget}
-          onChange={(e) => setFilters(prev => ({ ...prev, budget: e.target.value }))}
-          className="form-select"
-        >
-          <option value="">Tous les budgets</option>
-          {budgets.map(budget => (
-            <option key={budget} value={budget}>{budget}</option>
-          ))}
-        </select>
+      <FilterPanel
+        fields={DEVIS_FILTER_FIELDS}
+        values={filters}
+        onChange={setFilters}
+        presetsKey="devis-saved-views"
+        showToast={showToast}
+        presetsLabel="Vues enregistrées"
+        presetPlaceholder="Nom de la vue (ex: Construction neuve > 1M€ ce mois)"
+        extraActions={(
+          <button type="button" className="btn btn-secondary" onClick={handleShareView}>
+            Partager la vue
+          </button>
+        )}
+      />
 
+      <div className="filters-bar">
         <button className="btn btn-secondary" onClick={exportDevisCSV}>
           <i className="fa fa-download"></i> Exporter CSV
         </button>
       </div>
 
-      <DataTable
-        columns={columns}
-        data={filteredDevis}
-        searchTerm={searchTerm}
-        sortField={sortConfig.field}
-        sortDirection={sortConfig.direction}
-        onSort={handleSort}
-      />
+      {viewMode === 'tableau' ? (
+        <DevisBoard
+          showToast={showToast}
+          searchTerm={searchTerm}
+          filterParams={filterParams}
+          onView={handleView}
+          canEdit={can('devis:edit')}
+          refreshKey={boardVersion}
+        />
+      ) : (
+        <>
+          <DataTable
+            columns={columns}
+            data={data.devis}
+            searchTerm={searchTerm}
+            sortField={sortConfig.field}
+            sortDirection={sortConfig.direction}
+            onSort={handleSort}
+            serverSide
+          />
+
+          <Pagination
+            page={page}
+            pageSize={pageSize}
+            total={pagination.total}
+            onPageChange={(newPage) => setPagination(prev => ({ ...prev, page: newPage }))}
+            onPageSizeChange={(newSize) => setPagination(prev => ({ ...prev, page: 1, pageSize: newSize }))}
+          />
+        </>
+      )}
 
       {/* Modal création/modification */}
       {(modal.isOpen && (modal.type === 'create-devis' || modal.type === 'edit-devis')) && (
@@ -672,6 +1061,7 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
           <div className="modal-content">
             <h3>{modal.type === 'create-devis' ? 'Nouvelle demande' : 'Modifier la demande'}</h3>
             <form onSubmit={handleSubmit}>
+              {isCreating && <ClientAutocomplete clients={clients} onSelect={handleSelectClient} />}
               <div className="form-grid">
                 <div className="form-group">
                   <label htmlFor="name">Nom *</label>
@@ -718,16 +1108,27 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                 </div>
                 <div className="form-group">
                   <label htmlFor="budget">Budget</label>
-                  <select
-                    id="budget"
-                    value={formData.budget}
-                    onChange={(e) => setFormData(prev => ({ ...prev, budget: e.target.value }))}
-                  >
-                    <option value="">Budget estimé</option>
-                    {budgets.map(budget => (
-                      <option key={budget} value={budget}>{budget}</option>
-                    ))}
-                  </select>
+                  <div className="budget-input">
+                    <select
+                      aria-label="Devise du budget"
+                      value={formData.budgetCurrency || getBaseCurrency()}
+                      onChange={(e) => setFormData(prev => ({ ...prev, budgetCurrency: e.target.value, budget: '' }))}
+                    >
+                      {CURRENCIES.map(currency => (
+                        <option key={currency.code} value={currency.code}>{currency.code}</option>
+                      ))}
+                    </select>
+                    <select
+                      id="budget"
+                      value={formData.budget}
+                      onChange={(e) => setFormData(prev => ({ ...prev, budget: e.target.value }))}
+                    >
+                      <option value="">Budget estimé</option>
+                      {getBudgetBrackets(formData.budgetCurrency || getBaseCurrency()).map(budget => (
+                        <option key={budget} value={budget}>{budget}</option>
+                      ))}
+                    </select>
+                  </div>
                 </div>
               </div>
               <div className="form-group">
@@ -788,19 +1189,163 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                   <span className="detail-label">Date de création:</span>
                   <span className="detail-value">{new Date(formData.createdAt).toLocaleString('fr-FR')}</span>
                 </div>
+                <div className="detail-row full-width">
+                  <span className="detail-label">Statut:</span>
+                  <div className="detail-value">
+                    <StatusBadge workflow={DEVIS_WORKFLOW} value={formData.status} />
+
+                    {can('devis:edit') && getNextStatuses(DEVIS_WORKFLOW, formData.status).length > 0 && (
+                      <div className="status-actions">
+                        <input
+                          type="text"
+                          value={statusComment}
+                          placeholder="Commentaire (optionnel)"
+                          onChange={(e) => setStatusComment(e.target.value)}
+                        />
+                        {getNextStatuses(DEVIS_WORKFLOW, formData.status).map(next => (
+                          <button
+                            key={next.value}
+                            type="button"
+                            className={`btn ${next.value === 'refuse' ? 'btn-danger' : 'btn-secondary'}`}
+                            onClick={() => handleStatusChange(formData, next.value)}
+                          >
+                            {next.label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+
+                    {formData.statusHistory?.length > 0 && (
+                      <ul className="status-history">
+                        {[...formData.statusHistory].reverse().map((entry, index) => (
+                          <li key={`${entry.date}-${index}`}>
+                            <StatusBadge workflow={DEVIS_WORKFLOW} value={entry.statut} />
+                            <span>{new Date(entry.date).toLocaleString('fr-FR')}</span>
+                            {entry.par && <span>par {entry.par}</span>}
+                            {entry.commentaire && <em>« {entry.commentaire} »</em>}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </div>
+                <div className="detail-row full-width">
+                  <span className="detail-label">Chiffrages:</span>
+                  <div className="detail-value">
+                    {formData.quotes?.length > 0 ? (
+                      <ul className="status-history">
+                        {[...formData.quotes].reverse().map(quote => (
+                          <li key={quote.version}>
+                            <strong>{getQuoteNumber(formData.id, quote.version)}</strong>
+                            <span>{new Date(quote.date).toLocaleString('fr-FR')}</span>
+                            {quote.par && <span>par {quote.par}</span>}
+                            <span>{formatAmount(quote.totaux?.ttc, getQuoteCurrency(quote))} TTC</span>
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <span>Aucun chiffrage</span>
+                    )}
+                  </div>
+                </div>
               </div>
               <div className="modal-actions">
                 <button type="button" className="btn btn-secondary" onClick={closeModal}>
                   Fermer
                 </button>
+                {(can('devis:edit') || formData.quotes?.length > 0) && (
+                  <button type="button" className="btn btn-primary" onClick={() => handleOpenQuote(formData)}>
+                    <i className="fa fa-file-text"></i> {formData.quotes?.length > 0 ? 'Ouvrir le chiffrage' : 'Établir un chiffrage'}
+                  </button>
+                )}
               </div>
             </div>
           </div>
         )}
+
+        {/* Modal chiffrage */}
+        {modal.isOpen && modal.type === 'quote-devis' && formData.id === modal.recordId && (
+          <div className="modal-overlay">
+            <div className="modal-content modal-large">
+              <h3>Chiffrage — {formData.name}</h3>
+              <QuoteBuilder
+                devis={formData}
+                canEdit={can('devis:edit')}
+                onSave={handleSaveQuote}
+                onClose={closeModal}
+              />
+            </div>
+          </div>
+        )}
       </div>
     );
   };
 
+  // Champs du panneau de filtres avancés des réservations
+  const RESERVATION_FILTER_FIELDS = [
+    {
+      key: 'departure',
+      label: 'Départ',
+      type: 'dateRange',
+      accessor: (item) => item.startDate,
+      params: ['depart_min', 'depart_max']
+    },
+    {
+      key: 'return',
+      label: 'Retour',
+      type: 'dateRange',
+      accessor: (item) => item.endDate,
+      params: ['retour_min', 'retour_max']
+    },
+    {
+      key: 'pickupLocation',
+      label: 'Lieu de prise en charge',
+      type: 'text',
+      placeholder: 'ex: Conakry',
+      param: 'lieu_prise_en_charge'
+    },
+    {
+      key: 'dropoffLocation',
+      label: 'Lieu de restitution',
+      type: 'text',
+      param: 'lieu_restitution'
+    },
+    {
+      key: 'statuses',
+      label: 'Statut',
+      type: 'multiselect',
+      options: getStatusOptions(RESERVATION_WORKFLOW),
+      accessor: (item) => item.status,
+      param: 'statut'
+    },
+    {
+      key: 'vehicleTypes',
+      label: 'Types de véhicule',
+      type: 'multiselect',
+      options: VEHICLE_CATEGORIES,
+      accessor: (item) => item.vehicleType,
+      param: 'type_modele_voiture'
+    },
+    {
+      key: 'options',
+      label: 'Options (toutes requises)',
+      type: 'multiselect',
+      mode: 'all',
+      options: [DRIVER_OPTION, UNLIMITED_KM_OPTION, ...INSURANCE_OPTIONS, ...EQUIPMENT_OPTIONS],
+      accessor: getReservationOptions,
+      param: 'options'
+    }
+  ];
+
+  // Colonnes triables côté serveur pour /api/reservation
+  const RESERVATION_SORT_FIELDS = {
+    name: 'nom_client',
+    vehicleType: 'type_modele_voiture',
+    startDate: 'date_heure_depart',
+    endDate: 'date_heure_retour',
+    status: 'statut'
+  };
+
   // Reservations Tab component
   const ReservationsTab = ({
     showToast,
@@ -812,13 +1357,32 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
     handleSort,
     exportReservationsCSV,
     setConfirmDialog,
-    calcCarPrice,
-    formatDate
+    formatDate,
+    can
   }) => {
-    const API_URL = 'https://gtrafplusbac.vercel.app/api/reservation';
-
     const [data, setData] = useState({ reservations: [] });
     const [loading, setLoading] = useState(true);
+    const [pagination, setPagination] = useState({ page: 1, pageSize: 20, total: 0 });
+    const { page, pageSize } = pagination;
+
+    const [advancedFilters, setAdvancedFilters] = useState(() => createEmptyFilters(RESERVATION_FILTER_FIELDS));
+    const filterParams = useMemo(() => toQueryParams(RESERVATION_FILTER_FIELDS, advancedFilters), [advancedFilters]);
+
+    // Le règlement est calculé ici (tarifs, factures) : avec un filtre de paiement, toutes les
+    // réservations correspondant aux autres critères sont chargées puis paginées localement
+    const [filters, setFilters] = useState({ paymentMethod: '', paymentStatus: '' });
+    const paymentFiltering = Boolean(filters.paymentMethod || filters.paymentStatus);
+
+    const sortBy = RESERVATION_SORT_FIELDS[sortConfig.field] || 'date_heure_depart';
+    const order = sortConfig.field ? sortConfig.direction.toUpperCase() : 'DESC';
+
+    // Nouvelle recherche, nouveaux filtres ou nouveau tri : retour à la première page
+    const queryKey = `${searchTerm}|${sortBy}|${order}|${JSON.stringify(filterParams)}|${JSON.stringify(filters)}`;
+    const [lastQueryKey, setLastQueryKey] = useState(queryKey);
+    if (queryKey !== lastQueryKey) {
+      setLastQueryKey(queryKey);
+      setPagination(prev => ({ ...prev, page: 1 }));
+    }
 
     const [formData, setFormData] = useState({
       name: '',
@@ -827,6 +1391,7 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
       address: '',
       idNumber: '',
       vehicleType: '',
+      vehicleId: '',
       model: '',
       startDate: '',
       startTime: '',
@@ -839,66 +1404,213 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
       insurances: [],
       equipments: [],
       paymentMethod: '',
-      deposit: '',
       notes: ''
     });
 
-    const [filters, setFilters] = useState({ vehicleType: '', paymentMethod: '' });
     const [viewReservation, setViewReservation] = useState(null);
+    const [statusComment, setStatusComment] = useState('');
+    const [fleet, setFleet] = useState([]);
+
+    // Règles de tarification partagées, relues à chaque rendu : un enregistrement
+    // des tarifs s'applique sans recharger l'onglet
+    const storedPricingRules = loadSetting('pricingRules');
+    const pricingRules = useMemo(() => resolvePricingRules(storedPricingRules), [storedPricingRules]);
+    const estimatePrice = (reservation) => computePrice(reservation, pricingRules);
+
+    // Montant dû dans la devise de la réservation : facture émise, sinon prix estimatif
+    const getAmountDue = (reservation) => {
+      if (reservation.status === 'annulee') return 0;
+      if (reservation.invoice) return reservation.invoice.total;
+      return convertPrice(estimatePrice(reservation), reservation.currency).total;
+    };
 
-    const vehicleTypes = ['Citadine', 'Berline', 'SUV/4x4', 'Utilitaire', 'Minibus'];
-    const insuranceOptions = ['Tiers', 'Tous risques', 'Vol/Incendie'];
-    const equipmentOptions = ['GPS', 'Siège bébé', 'Wi-Fi'];
-    const paymentMethods = ['Espèces', 'Carte', 'Virement'];
+    const getReservationPaymentStatus = (reservation) => getPaymentStatus(
+      getAmountDue(reservation),
+      computePaidAmount(reservation.payments, reservation.currency),
+      reservation.currency
+    );
 
-    // Charger les réservations
-    useEffect(() => {
-      fetchReservations();
-    }, []);
+    const optionPriceLabel = (option) => {
+      const price = pricingRules.optionPrices[option];
+      if (!Number(price?.amount)) return option;
+      const unit = price.unit === 'forfait' ? '' : '/jour';
+      return `${option} (+${formatAmount(price.amount, pricingRules.currency)}${unit})`;
+    };
+
+    // Affichage en liste paginée ou en calendrier (mémorisé par utilisateur)
+    const [viewMode, setViewMode] = useState(() => loadPreference('reservations-view-mode', 'liste'));
+    const [calendarVersion, setCalendarVersion] = useState(0);
+
+    // Pagination locale avec un filtre de paiement : changer de page ne recharge rien
+    const serverPage = paymentFiltering ? null : page;
+    const serverPageSize = paymentFiltering ? null : pageSize;
 
-    const fetchReservations = async () => {
+    const fetchReservations = useCallback(async () => {
       setLoading(true);
       try {
-        const response = await fetch(`${API_URL}?sortBy=date_heure_depart&order=DESC`);
-        const result = await response.json();
-
-        if (response.ok) {
-          const mapped = result.data.map(item => ({
-            id: item.id.toString(),
-            name: item.nom_client,
-            email: item.email,
-            phone: item.telephone,
-            address: '', // non stocké dans API
-            idNumber: '',
-            vehicleType: item.type_modele_voiture,
-            model: '',
-            startDate: item.date_heure_depart?.split('T')[0] || '',
-            startTime: item.date_heure_depart?.split('T')[1]?.substring(0, 5) || '',
-            endDate: item.date_heure_retour?.split('T')[0] || '',
-            endTime: item.date_heure_retour?.split('T')[1]?.substring(0, 5) || '',
-            pickupLocation: item.lieu_prise_en_charge,
-            dropoffLocation: item.lieu_restitution,
-            driver: false,
-            unlimitedKm: false,
-            insurances: Array.isArray(item.options) ? item.options.filter(opt => ['Tiers', 'Tous risques', 'Vol/Incendie'].includes(opt)) : [],
-            equipments: Array.isArray(item.options) ? item.options.filter(opt => equipmentOptions.includes(opt)) : [],
-            paymentMethod: '',
-            deposit: '',
-            notes: item.commentaires || '',
-            createdAt: item.date_heure_depart
-          }));
-          setData({ reservations: mapped });
-        } else {
-          throw new Error(result.error || 'Échec du chargement des réservations');
+        const search = searchTerm.trim() || undefined;
+
+        if (serverPage === null) {
+          const { records, truncated } = await fetchAllPages(RESERVATION_API_URL, { sortBy, order, search, ...filterParams });
+          setData({ reservations: records.map(mapReservationFromApi), truncated });
+          return;
         }
-      } catch (error) {
-        console.error('Erreur chargement réservations:', error);
+
+        const [list, countRes] = await Promise.all([
+          api.list(RESERVATION_API_URL, {
+            sortBy,
+            order,
+            search,
+            ...filterParams,
+            limit: serverPageSize,
+            offset: (serverPage - 1) * serverPageSize
+          }),
+          api.get(`${RESERVATION_API_URL}/count`, { search, ...filterParams })
+        ]);
+        const total = countRes.count || 0;
+
+        // Page devenue vide (ex: après une suppression) : revenir à la dernière page
+        if (list.length === 0 && serverPage > 1) {
+          setPagination(prev => ({ ...prev, page: Math.max(1, Math.ceil(total / serverPageSize)) }));
+          return;
+        }
+
+        setData({ reservations: list.map(mapReservationFromApi), truncated: false });
+        setPagination(prev => ({ ...prev, total }));
+      } catch (error) {
+        console.error('Erreur chargement réservations:', error);
         showToast('error', 'Impossible de charger les réservations');
       } finally {
         setLoading(false);
       }
+    }, [serverPage, serverPageSize, sortBy, order, searchTerm, filterParams, showToast]);
+
+    // Charger la page courante des réservations
+    useEffect(() => {
+      fetchReservations();
+    }, [fetchReservations]);
+
+    // Recharger la liste et le calendrier après une modification
+    const refreshReservations = useCallback(() => {
+      fetchReservations();
+      setCalendarVersion(version => version + 1);
+    }, [fetchReservations]);
+
+    const handleViewModeChange = (mode) => {
+      setViewMode(mode);
+      savePreference('reservations-view-mode', mode);
+    };
+
+    // Véhicules de la flotte pour l'attribution
+    useEffect(() => {
+      api.list(VEHICLE_API_URL, { sortBy: 'immatriculation', order: 'ASC', limit: 500 })
+        .then(list => setFleet(list.map(mapVehicleFromApi)))
+        .catch(error => console.error('Erreur chargement flotte:', error));
+    }, []);
+
+    const getVehicle = (id) => fleet.find(vehicle => vehicle.id === id);
+
+    // Réservations du même type qui chevauchent la période, comparées à la capacité
+    const [availability, setAvailability] = useState(null);
+    const checkAvailability = useCallback(async (reservation) => {
+      const { vehicleType, startDate, startTime, endDate, endTime } = reservation;
+      if (!vehicleType || !startDate || !startTime || !endDate || !endTime) return null;
+      // Une réservation annulée ou restituée ne bloque aucun véhicule
+      if (RELEASED_STATUSES.includes(reservation.status)) return null;
+
+      // Les chevauchements sont recalculés ici : si le serveur ignore ces filtres, toutes les
+      // réservations sont parcourues. Une liste plus courte que le décompte bloque l'enregistrement.
+      const params = { type_modele_voiture: vehicleType, retour_min: startDate, depart_max: endDate };
+      const [{ records, truncated }, countRes] = await Promise.all([
+        fetchAllPages(RESERVATION_API_URL, params),
+        api.get(`${RESERVATION_API_URL}/count`, params)
+      ]);
+      const capacity = resolveCapacity(vehicleType, loadSetting('vehicleCapacity', {}), fleet);
+      return {
+        ...findConflicts(reservation, records.map(mapReservationFromApi), capacity),
+        incomplete: truncated || records.length < (countRes.count || 0)
+      };
+    }, [fleet]);
+
+    // Vérification en direct pendant la saisie des dates dans la modale
+    const isEditing = modal.isOpen && (modal.type === 'create-reservation' || modal.type === 'edit-reservation');
+    const availabilityKey = useDebouncedValue(isEditing
+      ? JSON.stringify([
+          formData.id, formData.status, formData.vehicleType, formData.vehicleId,
+          formData.startDate, formData.startTime, formData.endDate, formData.endTime
+        ])
+      : '');
+    useEffect(() => {
+      if (!availabilityKey) {
+        setAvailability(null);
+        return;
+      }
+
+      const [id, status, vehicleType, vehicleId, startDate, startTime, endDate, endTime] = JSON.parse(availabilityKey);
+      let cancelled = false;
+      checkAvailability({ id, status, vehicleType, vehicleId, startDate, startTime, endDate, endTime })
+        .then(result => {
+          if (!cancelled) setAvailability(result);
+        })
+        .catch(error => console.error('Erreur vérification disponibilité:', error));
+      return () => {
+        cancelled = true;
+      };
+    }, [availabilityKey, checkAvailability]);
+
+    // Véhicules attribuables : de la catégorie demandée et en service
+    const assignableVehicles = fleet.filter(vehicle => (
+      vehicle.category === formData.vehicleType &&
+      (vehicle.status !== 'hors_service' || vehicle.id === formData.vehicleId)
+    ));
+
+    // Annuaire des clients pour préremplir une nouvelle réservation
+    const [clients, setClients] = useState([]);
+    const isCreating = modal.isOpen && modal.type === 'create-reservation';
+    const canViewDevis = can('devis:view');
+    useEffect(() => {
+      if (!isCreating) return;
+
+      fetchClientDirectory({ withDevis: canViewDevis, withReservations: true })
+        .then(directory => setClients(directory.clients))
+        .catch(error => console.error('Erreur chargement annuaire clients:', error));
+    }, [isCreating, canViewDevis]);
+
+    const handleSelectClient = (client) => {
+      setFormData(prev => ({
+        ...prev,
+        name: client.name,
+        email: client.emails[0] || '',
+        phone: client.phones[0] || '',
+        address: client.address || prev.address,
+        idNumber: client.idNumber || prev.idNumber
+      }));
     };
 
+    // Ouverture directe d'une réservation depuis l'URL (/dashboard/reservations/:id)
+    useEffect(() => {
+      if (loading || !modal.recordId) return;
+
+      const openReservation = (reservation) => {
+        setFormData(reservation);
+        setViewReservation(reservation);
+      };
+
+      const reservation = data.reservations.find(item => item.id === modal.recordId);
+      if (reservation) {
+        openReservation(reservation);
+        return;
+      }
+
+      // Réservation absente de la page courante : la charger directement
+      api.get(`${RESERVATION_API_URL}/${modal.recordId}`)
+        .then(result => openReservation(mapReservationFromApi(result.data || result)))
+        .catch(() => {
+          showToast('error', 'Réservation introuvable');
+          closeModal();
+        });
+    }, [loading, modal.recordId, data.reservations, showToast, closeModal]);
+
     // Soumettre (créer ou modifier)
     const handleSubmit = async (e) => {
       e.preventDefault();
@@ -916,61 +1628,50 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
         return;
       }
 
-      // Fusionner toutes les options
-      const allOptions = [
-        ...formData.insurances,
-        ...formData.equipments
-      ];
-      if (formData.driver) allOptions.push('Avec chauffeur');
-      if (formData.unlimitedKm) allOptions.push('Kilométrage illimité');
-
-      const payload = {
-        nom_client: formData.name,
-        email: formData.email,
-        telephone: formData.phone || null,
-        type_modele_voiture: formData.vehicleType,
-        date_heure_depart: `${formData.startDate}T${formData.startTime}:00`,
-        date_heure_retour: `${formData.endDate}T${formData.endTime}:00`,
-        lieu_prise_en_charge: formData.pickupLocation,
-        lieu_restitution: formData.dropoffLocation,
-        options: allOptions,
-        commentaires: formData.notes || null
-      };
+      // Pas de double réservation au-delà de la capacité du type de véhicule
+      try {
+        const result = await checkAvailability(formData);
+        setAvailability(result);
+        if (result && hasConflicts(result)) {
+          showToast('error', result.incomplete
+            ? 'Disponibilité non vérifiable : réservations de la période incomplètes'
+            : 'Véhicule indisponible sur cette période : voir les réservations en conflit');
+          return;
+        }
+      } catch (error) {
+        console.error('Erreur vérification disponibilité:', error);
+        showToast('error', 'Impossible de vérifier la disponibilité du véhicule');
+        return;
+      }
+
+      // Une nouvelle réservation entre dans le cycle de vie au statut initial
+      const payload = buildReservationPayload(modal.data ? formData : {
+        ...formData,
+        status: RESERVATION_WORKFLOW.initial,
+        statusHistory: [createHistoryEntry(RESERVATION_WORKFLOW.initial, { user: getCurrentUser() })],
+        currency: getBaseCurrency()
+      });
 
       try {
-        let response;
         if (modal.data) {
           // Modification
-          response = await fetch(`${API_URL}/${modal.data.id}`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-          });
+          await api.put(`${RESERVATION_API_URL}/${modal.data.id}`, payload);
         } else {
           // Création
-          response = await fetch(API_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-          });
+          await api.post(RESERVATION_API_URL, payload);
         }
 
-        const result = await response.json();
-
-        if (response.ok) {
-          showToast('success', modal.data ? 'Réservation modifiée' : 'Réservation enregistrée');
-          fetchReservations(); // Recharger
-          setFormData({
-            name: '', email: '', phone: '', address: '', idNumber: '',
-            vehicleType: '', model: '', startDate: '', startTime: '', endDate: '', endTime: '',
-            pickupLocation: '', dropoffLocation: '',
-            driver: false, unlimitedKm: false, insurances: [], equipments: [],
-            paymentMethod: '', deposit: '', notes: ''
-          });
-          closeModal();
-        } else {
-          throw new Error(result.error || 'Échec de l\'enregistrement');
-        }
+        showToast('success', modal.data ? 'Réservation modifiée' : 'Réservation enregistrée');
+        invalidateClientDirectory();
+        refreshReservations(); // Recharger
+        setFormData({
+          name: '', email: '', phone: '', address: '', idNumber: '',
+          vehicleType: '', vehicleId: '', model: '', startDate: '', startTime: '', endDate: '', endTime: '',
+          pickupLocation: '', dropoffLocation: '',
+          driver: false, unlimitedKm: false, insurances: [], equipments: [],
+          paymentMethod: '', notes: ''
+        });
+        closeModal();
       } catch (error) {
         console.error('Erreur soumission réservation:', error);
         showToast('error', error.message || 'Erreur réseau');
@@ -996,37 +1697,176 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
       openModal('view-reservation', reservation);
     };
 
-    const handleDelete = (reservation) => {
+    // Transition de statut, enregistrée avec son horodatage sur la réservation
+    const handleStatusChange = async (reservation, nextStatus) => {
+      if (!canTransition(RESERVATION_WORKFLOW, reservation.status, nextStatus)) {
+        showToast('error', 'Transition de statut non autorisée');
+        return false;
+      }
+
+      const updated = {
+        ...reservation,
+        status: nextStatus,
+        statusHistory: [
+          ...reservation.statusHistory,
+          createHistoryEntry(nextStatus, { user: getCurrentUser(), comment: statusComment })
+        ]
+      };
+
+      try {
+        await api.put(`${RESERVATION_API_URL}/${reservation.id}`, buildReservationPayload(updated));
+        showToast('success', `Statut : ${getStatus(RESERVATION_WORKFLOW, nextStatus).label}`);
+        setViewReservation(updated);
+        setStatusComment('');
+        refreshReservations();
+        return true;
+      } catch (error) {
+        console.error('Erreur changement de statut:', error);
+        showToast('error', error.message || 'Erreur réseau');
+        return false;
+      }
+    };
+
+    // La remise et la restitution du véhicule passent par un état des lieux
+    const handleOpenInspection = (reservation) => {
+      setViewReservation(reservation);
+      openModal('handover-reservation', reservation);
+    };
+
+    const handleSaveInspection = async (reservation, stage, inspection) => {
+      const { field, status, label } = INSPECTION_STAGES[stage];
+      if (!canTransition(RESERVATION_WORKFLOW, reservation.status, status)) {
+        showToast('error', 'Transition de statut non autorisée');
+        return false;
+      }
+
+      const updated = {
+        ...reservation,
+        [field]: inspection,
+        status,
+        statusHistory: [
+          ...reservation.statusHistory,
+          createHistoryEntry(status, { user: getCurrentUser(), comment: label })
+        ]
+      };
+
+      try {
+        await api.put(`${RESERVATION_API_URL}/${reservation.id}`, buildReservationPayload(updated));
+        showToast('success', `${label} enregistré — statut : ${getStatus(RESERVATION_WORKFLOW, status).label}`);
+        setViewReservation(updated);
+        refreshReservations();
+        openModal('view-reservation', updated);
+        return true;
+      } catch (error) {
+        console.error('Erreur enregistrement de l\'état des lieux:', error);
+        showToast('error', error.message || 'Erreur réseau');
+        return false;
+      }
+    };
+
+    // Paiement ou remboursement ajouté au registre de la réservation
+    const handleAddPayment = async (reservation, entry) => {
+      const updated = {
+        ...reservation,
+        payments: [
+          ...reservation.payments,
+          createPayment(entry, { user: getCurrentUser(), currency: reservation.currency })
+        ]
+      };
+
+      try {
+        await api.put(`${RESERVATION_API_URL}/${reservation.id}`, buildReservationPayload(updated));
+        showToast('success', entry.type === 'remboursement' ? 'Remboursement enregistré' : 'Paiement enregistré');
+        setViewReservation(updated);
+        refreshReservations();
+        return true;
+      } catch (error) {
+        console.error('Erreur enregistrement du règlement:', error);
+        showToast('error', error.message || 'Erreur réseau');
+        return false;
+      }
+    };
+
+    // Émission de la facture : montants figés ici, numéro attribué par le serveur
+    // (séquence annuelle FAC-AAAA-NNNN), qui renvoie la réservation facturée
+    const handleIssueInvoice = async (reservation) => {
+      if (!INVOICE_STATUSES.includes(reservation.status)) {
+        showToast('error', 'La facture est émise à la restitution du véhicule');
+        return;
+      }
+
+      try {
+        const invoice = createInvoice(reservation, estimatePrice(reservation), { user: getCurrentUser() });
+        const result = await api.post(`${RESERVATION_API_URL}/${reservation.id}/facture`, invoice);
+        const updated = mapReservationFromApi(result.data || result);
+
+        showToast('success', `Facture ${updated.invoice?.numero} émise`);
+        setViewReservation(updated);
+        refreshReservations();
+        openModal('invoice-reservation', updated);
+      } catch (error) {
+        console.error('Erreur émission de la facture:', error);
+        showToast('error', error.message || 'Erreur réseau');
+      }
+    };
+
+    // Replanification depuis le calendrier (glissement d'un bord), avec contrôle de disponibilité
+    const handleReschedule = useCallback(async (reservation, changes) => {
+      const updated = { ...reservation, ...changes };
+
+      try {
+        const result = await checkAvailability(updated);
+        if (result?.incomplete) {
+          showToast('error', 'Replanification impossible : disponibilité non vérifiable');
+          return false;
+        }
+        if (result && hasConflicts(result)) {
+          const conflicts = [...result.conflicts, ...result.vehicleConflicts];
+          showToast('error', `Replanification impossible : conflit avec ${[...new Set(conflicts.map(item => item.name))].join(', ')}`);
+          return false;
+        }
+
+        await api.put(`${RESERVATION_API_URL}/${reservation.id}`, buildReservationPayload(updated));
+        showToast('success', `Réservation de ${reservation.name} replanifiée`);
+        refreshReservations();
+        return true;
+      } catch (error) {
+        console.error('Erreur replanification:', error);
+        showToast('error', error.message || 'Erreur réseau');
+        return false;
+      }
+    }, [checkAvailability, showToast, refreshReservations]);
+
+    // L'annulation conserve la réservation (plus de DELETE) pour garder l'historique
+    const handleCancel = (reservation) => {
       setConfirmDialog({
         isOpen: true,
-        title: 'Supprimer la réservation',
-        message: `Supprimer la réservation de ${reservation.name} ?`,
+        title: 'Annuler la réservation',
+        message: `Annuler la réservation de ${reservation.name} ? Elle restera consultable avec le statut « Annulée ».`,
         onConfirm: async () => {
-          try {
-            const response = await fetch(`${API_URL}/${reservation.id}`, { method: 'DELETE' });
-            const result = await response.json();
-
-            if (response.ok) {
-              showToast('success', 'Réservation supprimée');
-              fetchReservations();
-            } else {
-              throw new Error(result.error || 'Échec de la suppression');
-            }
-          } catch (error) {
-            console.error('Erreur suppression:', error);
-            showToast('error', error.message || 'Erreur réseau');
-          } finally {
-            setConfirmDialog({ isOpen: false });
-          }
+          await handleStatusChange(reservation, 'annulee');
+          setConfirmDialog({ isOpen: false });
         },
         onCancel: () => setConfirmDialog({ isOpen: false })
       });
     };
 
-    const filteredReservations = data.reservations.filter(reservation => {
-      return (!filters.vehicleType || reservation.vehicleType === filters.vehicleType) &&
-             (!filters.paymentMethod || reservation.paymentMethod === filters.paymentMethod);
-    });
+    // Les filtres avancés sont appliqués par le serveur (liste et /count), ceux de paiement ici
+    const filteredReservations = paymentFiltering
+      ? data.reservations.filter(reservation => {
+          return (!filters.paymentMethod || reservation.paymentMethod === filters.paymentMethod) &&
+                 (!filters.paymentStatus || getReservationPaymentStatus(reservation) === filters.paymentStatus);
+        })
+      : data.reservations;
+    const total = paymentFiltering ? filteredReservations.length : pagination.total;
+    const pageReservations = paymentFiltering
+      ? filteredReservations.slice((page - 1) * pageSize, page * pageSize)
+      : filteredReservations;
+
+    // Page devenue vide après une modification : revenir à la dernière page
+    if (paymentFiltering && !loading && page > 1 && (page - 1) * pageSize >= total) {
+      setPagination(prev => ({ ...prev, page: Math.max(1, Math.ceil(total / pageSize)) }));
+    }
 
     const columns = [
       { key: 'name', label: 'Client', sortable: true },
@@ -1036,17 +1876,23 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
         key: 'vehicleType',
         label: 'Véhicule',
         sortable: true,
-        render: (value, item) => `${value}${item.model ? ` (${item.model})` : ''}`
+        render: (value, item) => {
+          const vehicle = getVehicle(item.vehicleId);
+          return vehicle ? `${value} — ${vehicle.plate}` : `${value}${item.model ? ` (${item.model})` : ''}`;
+        }
       },
       {
         key: 'startDate',
         label: 'Départ',
         sortable: true,
+        type: 'date',
         render: (value, item) => `${formatDate(value)} ${item.startTime}`
       },
       {
         key: 'endDate',
         label: 'Retour',
+        sortable: true,
+        type: 'date',
         render: (value, item) => `${formatDate(value)} ${item.endTime}`
       },
       { key: 'pickupLocation', label: 'Prise' },
@@ -1066,12 +1912,26 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
       {
         key: 'paymentMethod',
         label: 'Paiement',
-        render: (value, item) => `${value}${item.deposit ? ` (${item.deposit}€)` : ''}`
+        render: (value, item) => (
+          <>
+            <StatusBadge workflow={PAYMENT_STATUS_WORKFLOW} value={getReservationPaymentStatus(item)} />
+            {value && <small> {value}</small>}
+          </>
+        )
       },
       {
         key: 'estimatedPrice',
         label: 'Prix estimé',
-        render: (_, item) => `${calcCarPrice(item)}€`
+        render: (_, item) => {
+          const price = estimatePrice(item);
+          return formatAmount(price.total, price.currency);
+        }
+      },
+      {
+        key: 'status',
+        label: 'Statut',
+        sortable: true,
+        render: (value) => <StatusBadge workflow={RESERVATION_WORKFLOW} value={value} />
       },
       {
         key: 'actions',
@@ -1085,70 +1945,137 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
             >
               👁️
             </button>
-            <button
-              className="btn-icon edit"
-              onClick={() => handleEdit(item)}
-              title="Modifier"
-            >
-              ✏️
-            </button>
-            <button
-              className="btn-icon delete"
-              onClick={() => handleDelete(item)}
-              title="Supprimer"
-            >
-              🗑️
-            </button>
+            {can('reservations:edit') && (
+              <button
+                className="btn-icon edit"
+                onClick={() => handleEdit(item)}
+                title="Modifier"
+              >
+                ✏️
+              </button>
+            )}
+            {can('reservations:edit') && getInspectionStage(item.status) && (
+              <button
+                className="btn-icon edit"
+                onClick={() => handleOpenInspection(item)}
+                title={INSPECTION_STAGES[getInspectionStage(item.status)].label}
+              >
+                🔑
+              </button>
+            )}
+            {can('reservations:edit') && canTransition(RESERVATION_WORKFLOW, item.status, 'annulee') && (
+              <button
+                className="btn-icon delete"
+                onClick={() => handleCancel(item)}
+                title="Annuler la réservation"
+              >
+                🚫
+              </button>
+            )}
           </div>
         )
       }
     ];
 
-    if (loading) return <div>Chargement des réservations...</div>;
+    if (loading && data.reservations.length === 0) return <div>Chargement des réservations...</div>;
 
     return (
       <div className="reservations-tab">
         <div className="tab-header">
           <h2>Réservations de Voiture</h2>
-          <button className="btn btn-primary" onClick={() => openModal('create-reservation')}>
-            Nouvelle réservation
-          </button>
+          <div className="view-toggle">
+            <button
+              className={viewMode === 'liste' ? 'active' : ''}
+              onClick={() => handleViewModeChange('liste')}
+            >
+              <i className="fa fa-list"></i> Liste
+            </button>
+            <button
+              className={viewMode === 'calendrier' ? 'active' : ''}
+              onClick={() => handleViewModeChange('calendrier')}
+            >
+              <i className="fa fa-calendar"></i> Calendrier
+            </button>
+          </div>
+          {can('reservations:edit') && (
+            <button className="btn btn-primary" onClick={() => openModal('create-reservation')}>
+              Nouvelle réservation
+            </button>
+          )}
         </div>
 
-        <div className="filters-bar">
-          <select
-            value={filters.vehicleType}
-            onChange={(e) => setFilters(prev => ({ ...prev, vehicleType: e.target.value }))}
-          >
-            <option value="">Tous les véhicules</option>
-            {vehicleTypes.map(type => (
-              <option key={type} value={type}>{type}</option>
-            ))}
-          </select>
+        <FilterPanel
+          fields={RESERVATION_FILTER_FIELDS}
+          values={advancedFilters}
+          onChange={setAdvancedFilters}
+          presetsKey="reservation-filter-presets"
+          showToast={showToast}
+          presetPlaceholder="Nom du préréglage (ex: SUV départ Conakry cette semaine)"
+        />
 
+        <div className="filters-bar">
           <select
             value={filters.paymentMethod}
             onChange={(e) => setFilters(prev => ({ ...prev, paymentMethod: e.target.value }))}
           >
             <option value="">Tous paiements</option>
-            {paymentMethods.map(method => (
+            {PAYMENT_METHODS.map(method => (
               <option key={method} value={method}>{method}</option>
             ))}
           </select>
 
+          <select
+            value={filters.paymentStatus}
+            onChange={(e) => setFilters(prev => ({ ...prev, paymentStatus: e.target.value }))}
+          >
+            <option value="">Tous règlements</option>
+            <option value="en_attente">Paiements en attente</option>
+            <option value="solde">Soldées</option>
+            <option value="trop_percu">À rembourser</option>
+          </select>
+
           <button className="btn btn-secondary" onClick={exportReservationsCSV}>
             Exporter CSV
           </button>
         </div>
 
-        <DataTable
-          columns={columns}
-          data={filteredReservations}
-          searchTerm={searchTerm}
-          sortField={sortConfig.field}
-          sortDirection={sortConfig.direction}
-          onSort={handleSort}
-        />
+        {viewMode === 'calendrier' ? (
+          <ReservationCalendar
+            showToast={showToast}
+            searchTerm={searchTerm}
+            filterParams={filterParams}
+            onView={handleView}
+            onReschedule={handleReschedule}
+            canEdit={can('reservations:edit')}
+            refreshKey={calendarVersion}
+          />
+        ) : (
+          <>
+            {paymentFiltering && data.truncated && (
+              <p className="directory-warning">
+                Liste incomplète : le serveur n'a pas renvoyé toutes les réservations à filtrer.
+              </p>
+            )}
+
+            <DataTable
+              columns={columns}
+              data={pageReservations}
+              searchTerm={searchTerm}
+              sortField={sortConfig.field}
+              sortDirection={sortConfig.direction}
+              onSort={handleSort}
+              serverSide
+            />
+
+            <Pagination
+              page={page}
+              pageSize={pageSize}
+              total={total}
+              onPageChange={(newPage) => setPagination(prev => ({ ...prev, page: newPage }))}
+              onPageSizeChange={(newSize) => setPagination(prev => ({ ...prev, page: 1, pageSize: newSize }))}
+            />
+          </>
+        )}
 
         {/* Modal création/modification */}
         {modal.isOpen && (modal.type === 'create-reservation' || modal.type === 'edit-reservation') && (
@@ -1162,6 +2089,7 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                   {/* Informations client */}
                   <section className="form-section">
                     <h4>Informations client</h4>
+                    {isCreating && <ClientAutocomplete clients={clients} onSelect={handleSelectClient} />}
                     <div className="form-grid">
                       <div className="form-group">
                         <label htmlFor="res-name">Nom *</label>
@@ -1222,15 +2150,43 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                         <select
                           id="res-vehicleType"
                           value={formData.vehicleType}
-                          onChange={(e) => setFormData(prev => ({ ...prev, vehicleType: e.target.value }))}
+                          onChange={(e) => setFormData(prev => ({
+                            ...prev,
+                            vehicleType: e.target.value,
+                            vehicleId: getVehicle(prev.vehicleId)?.category === e.target.value ? prev.vehicleId : ''
+                          }))}
                           required
                         >
                           <option value="">Sélectionner</option>
-                          {vehicleTypes.map(type => (
+                          {VEHICLE_CATEGORIES.map(type => (
                             <option key={type} value={type}>{type}</option>
                           ))}
                         </select>
                       </div>
+                      <div className="form-group">
+                        <label htmlFor="res-vehicleId">Véhicule attribué</label>
+                        <select
+                          id="res-vehicleId"
+                          value={formData.vehicleId}
+                          disabled={!formData.vehicleType}
+                          onChange={(e) => {
+                            const vehicle = getVehicle(e.target.value);
+                            setFormData(prev => ({
+                              ...prev,
+                              vehicleId: e.target.value,
+                              model: vehicle ? vehicle.model : prev.model
+                            }));
+                          }}
+                        >
+                          <option value="">Non attribué</option>
+                          {assignableVehicles.map(vehicle => (
+                            <option key={vehicle.id} value={vehicle.id}>
+                              {formatVehicleLabel(vehicle)}
+                              {vehicle.status !== VEHICLE_STATUSES.initial ? ` (${getStatus(VEHICLE_STATUSES, vehicle.status).label})` : ''}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
                       <div className="form-group">
                         <label htmlFor="res-model">Modèle souhaité</label>
                         <input
@@ -1314,7 +2270,7 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                             checked={formData.driver}
                             onChange={(e) => setFormData(prev => ({ ...prev, driver: e.target.checked }))}
                           />
-                          Avec chauffeur (+50€/jour)
+                          {optionPriceLabel(DRIVER_OPTION)}
                         </label>
                       </div>
                       <div className="form-group">
@@ -1324,7 +2280,7 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                             checked={formData.unlimitedKm}
                             onChange={(e) => setFormData(prev => ({ ...prev, unlimitedKm: e.target.checked }))}
                           />
-                          Kilométrage illimité (+30€/jour)
+                          {optionPriceLabel(UNLIMITED_KM_OPTION)}
                         </label>
                       </div>
                     </div>
@@ -1332,14 +2288,14 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                     <div className="form-group">
                       <label>Assurances</label>
                       <div className="checkbox-list">
-                        {insuranceOptions.map(insurance => (
+                        {INSURANCE_OPTIONS.map(insurance => (
                           <label key={insurance} className="checkbox-group">
                             <input
                               type="checkbox"
                               checked={formData.insurances.includes(insurance)}
                               onChange={() => handleCheckboxChange('insurances', insurance)}
                             />
-                            {insurance}
+                            {optionPriceLabel(insurance)}
                           </label>
                         ))}
                       </div>
@@ -1348,14 +2304,14 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                     <div className="form-group">
                       <label>Équipements</label>
                       <div className="checkbox-list">
-                        {equipmentOptions.map(equipment => (
+                        {EQUIPMENT_OPTIONS.map(equipment => (
                           <label key={equipment} className="checkbox-group">
                             <input
                               type="checkbox"
                               checked={formData.equipments.includes(equipment)}
                               onChange={() => handleCheckboxChange('equipments', equipment)}
                             />
-                            {equipment} (+10€/jour)
+                            {optionPriceLabel(equipment)}
                           </label>
                         ))}
                       </div>
@@ -1367,27 +2323,18 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                     <h4>Paiement</h4>
                     <div className="form-grid">
                       <div className="form-group">
-                        <label htmlFor="res-payment">Mode de paiement</label>
+                        <label htmlFor="res-payment">Mode de paiement prévu</label>
                         <select
                           id="res-payment"
                           value={formData.paymentMethod}
                           onChange={(e) => setFormData(prev => ({ ...prev, paymentMethod: e.target.value }))}
                         >
                           <option value="">Sélectionner</option>
-                          {paymentMethods.map(method => (
+                          {PAYMENT_METHODS.map(method => (
                             <option key={method} value={method}>{method}</option>
                           ))}
                         </select>
                       </div>
-                      <div className="form-group">
-                        <label htmlFor="res-deposit">Acompte (€)</label>
-                        <input
-                          id="res-deposit"
-                          type="number"
-                          value={formData.deposit}
-                          onChange={(e) => setFormData(prev => ({ ...prev, deposit: e.target.value }))}
-                        />
-                      </div>
                     </div>
                     <div className="form-group">
                       <label htmlFor="res-notes">Notes</label>
@@ -1400,11 +2347,47 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                     </div>
                   </section>
 
+                  {availability && hasConflicts(availability) && (
+                    <section className="form-section availability-warning">
+                      {availability.incomplete && (
+                        <h4>
+                          Disponibilité non vérifiable : le serveur n'a pas renvoyé toutes les réservations de la période
+                        </h4>
+                      )}
+                      {availability.exceeded && (
+                        <>
+                          <h4>
+                            Capacité dépassée : {availability.capacity} {formData.vehicleType} disponible(s) sur cette période
+                          </h4>
+                          <ul>
+                            {availability.conflicts.map(conflict => (
+                              <li key={conflict.id}>
+                                {conflict.name} — {formatDate(conflict.startDate)} {conflict.startTime} → {formatDate(conflict.endDate)} {conflict.endTime}
+                              </li>
+                            ))}
+                          </ul>
+                        </>
+                      )}
+                      {availability.vehicleConflicts.length > 0 && (
+                        <>
+                          <h4>Le véhicule attribué est déjà réservé</h4>
+                          <ul>
+                            {availability.vehicleConflicts.map(conflict => (
+                              <li key={conflict.id}>
+                                {conflict.name} — {formatDate(conflict.startDate)} {conflict.startTime} → {formatDate(conflict.endDate)} {conflict.endTime}
+                              </li>
+                            ))}
+                          </ul>
+                        </>
+                      )}
+                    </section>
+                  )}
+
                   {/* Prix estimé */}
                   {formData.vehicleType && formData.startDate && formData.endDate && (
                     <section className="form-section">
                       <div className="price-estimate">
-                        <h4>Prix estimatif: {calcCarPrice(formData)}€</h4>
+                        <PriceBreakdown price={estimatePrice(formData)} />
                       </div>
                     </section>
                   )}
@@ -1466,6 +2449,12 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                       <span className="detail-label">Modèle:</span>
                       <span className="detail-value">{viewReservation?.model || 'Non spécifié'}</span>
                     </div>
+                    <div className="detail-item">
+                      <span className="detail-label">Véhicule attribué:</span>
+                      <span className="detail-value">
+                        {getVehicle(viewReservation?.vehicleId) ? formatVehicleLabel(getVehicle(viewReservation.vehicleId)) : 'Non attribué'}
+                      </span>
+                    </div>
                     <div className="detail-item">
                       <span className="detail-label">Départ:</span>
                       <span className="detail-value">{viewReservation?.startDate} {viewReservation?.startTime}</span>
@@ -1515,13 +2504,9 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                     <h4>Paiement</h4>
                     <div className="detail-grid">
                       <div className="detail-item">
-                        <span className="detail-label">Mode de paiement:</span>
+                        <span className="detail-label">Mode de paiement prévu:</span>
                         <span className="detail-value">{viewReservation?.paymentMethod || 'Non spécifié'}</span>
                       </div>
-                      <div className="detail-item">
-                        <span className="detail-label">Acompte:</span>
-                        <span className="detail-value">{viewReservation?.deposit ? `${viewReservation.deposit}€` : 'Aucun'}</span>
-                      </div>
                       <div className="detail-item full-width">
                         <span className="detail-label">Notes:</span>
                         <span className="detail-value">{viewReservation?.notes || 'Aucune note'}</span>
@@ -1530,58 +2515,965 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                   </div>
 
                   <div className="detail-section">
-                    <h4>Prix estimatif: {calcCarPrice(viewReservation)}€</h4>
+                    <PriceBreakdown
+                      price={estimatePrice(viewReservation)}
+                      title={viewReservation?.checkIn ? 'Prix final' : 'Prix estimatif'}
+                    />
                   </div>
+
+                  {viewReservation?.checkOut && (
+                    <div className="detail-section">
+                      <h4>États des lieux</h4>
+                      <InspectionReport checkOut={viewReservation.checkOut} checkIn={viewReservation.checkIn} />
+                    </div>
+                  )}
+
+                  {viewReservation && (
+                    <div className="detail-section">
+                      <h4>Règlements</h4>
+                      <PaymentLedger
+                        key={viewReservation.id}
+                        payments={viewReservation.payments}
+                        amountDue={getAmountDue(viewReservation)}
+                        currency={viewReservation.currency}
+                        canEdit={can('reservations:edit')}
+                        onAdd={(entry) => handleAddPayment(viewReservation, entry)}
+                      />
+                    </div>
+                  )}
+
+                  {viewReservation && (
+                    <div className="detail-section">
+                      <h4>Statut</h4>
+                      <StatusBadge workflow={RESERVATION_WORKFLOW} value={viewReservation.status} />
+
+                      {can('reservations:edit') && getNextStatuses(RESERVATION_WORKFLOW, viewReservation.status).length > 0 && (
+                        <div className="status-actions">
+                          <input
+                            type="text"
+                            value={statusComment}
+                            placeholder="Commentaire (optionnel)"
+                            onChange={(e) => setStatusComment(e.target.value)}
+                          />
+                          {getNextStatuses(RESERVATION_WORKFLOW, viewReservation.status).map(next => (
+                            <button
+                              key={next.value}
+                              type="button"
+                              className={`btn ${next.value === 'annulee' ? 'btn-danger' : 'btn-secondary'}`}
+                              onClick={() => (next.value === INSPECTION_STAGES[getInspectionStage(viewReservation.status)]?.status
+                                ? handleOpenInspection(viewReservation)
+                                : handleStatusChange(viewReservation, next.value))}
+                            >
+                              {next.label}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+
+                      {viewReservation.statusHistory.length > 0 && (
+                        <ul className="status-history">
+                          {[...viewReservation.statusHistory].reverse().map((entry, index) => (
+                            <li key={`${entry.date}-${index}`}>
+                              <StatusBadge workflow={RESERVATION_WORKFLOW} value={entry.statut} />
+                              <span>{new Date(entry.date).toLocaleString('fr-FR')}</span>
+                              {entry.par && <span>par {entry.par}</span>}
+                              {entry.commentaire && <em>« {entry.commentaire} »</em>}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
                 </div>
 
                 <div className="modal-actions">
                   <button type="button" className="btn btn-secondary" onClick={closeModal}>
                     Fermer
                   </button>
+                  {viewReservation && CONTRACT_STATUSES.includes(viewReservation.status) && (
+                    <>
+                      <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={() => openModal('contract-reservation', viewReservation)}
+                      >
+                        <i className="fa fa-file-text"></i> Contrat de location
+                      </button>
+                      {viewReservation.invoice ? (
+                        <button
+                          type="button"
+                          className="btn btn-primary"
+                          onClick={() => openModal('invoice-reservation', viewReservation)}
+                        >
+                          <i className="fa fa-file-text"></i> Facture {viewReservation.invoice.numero}
+                        </button>
+                      ) : can('reservations:edit') && INVOICE_STATUSES.includes(viewReservation.status) && (
+                        <button
+                          type="button"
+                          className="btn btn-primary"
+                          onClick={() => handleIssueInvoice(viewReservation)}
+                        >
+                          <i className="fa fa-file-text"></i> Émettre la facture
+                        </button>
+                      )}
+                    </>
+                  )}
                 </div>
               </div>
             </div>
           )}
+
+          {/* Modal état des lieux (remise / restitution) */}
+          {modal.isOpen && modal.type === 'handover-reservation' && viewReservation?.id === modal.recordId
+            && getInspectionStage(viewReservation.status) && (
+            <div className="modal-overlay">
+              <div className="modal-content modal-large">
+                <h3>{INSPECTION_STAGES[getInspectionStage(viewReservation.status)].label} — {viewReservation.name}</h3>
+                <VehicleInspection
+                  key={viewReservation.status}
+                  reservation={viewReservation}
+                  stage={getInspectionStage(viewReservation.status)}
+                  defaultMileage={getVehicle(viewReservation.vehicleId)?.mileage}
+                  pricingRules={pricingRules}
+                  onSave={(inspection) => handleSaveInspection(viewReservation, getInspectionStage(viewReservation.status), inspection)}
+                  onClose={() => openModal('view-reservation', viewReservation)}
+                />
+              </div>
+            </div>
+          )}
+
+          {/* Modal contrat / facture */}
+          {modal.isOpen && (modal.type === 'contract-reservation' || (modal.type === 'invoice-reservation' && viewReservation?.invoice))
+            && viewReservation?.id === modal.recordId && (
+            <div className="modal-overlay">
+              <div className="modal-content modal-large">
+                <h3>
+                  {modal.type === 'invoice-reservation' ? 'Facture' : 'Contrat de location'} — {viewReservation.name}
+                </h3>
+                <RentalDocuments
+                  type={modal.type === 'invoice-reservation' ? 'invoice' : 'contract'}
+                  reservation={viewReservation}
+                  vehicle={getVehicle(viewReservation.vehicleId)}
+                  price={estimatePrice(viewReservation)}
+                  onClose={closeModal}
+                />
+              </div>
+            </div>
+          )}
         </div>
       );
     };
 
-    // Portfolio Tab component
+  // Colonnes triables côté serveur pour /api/vehicule
+  const VEHICLE_SORT_FIELDS = {
+    plate: 'immatriculation',
+    model: 'modele',
+    category: 'categorie',
+    mileage: 'kilometrage',
+    status: 'statut',
+    dailyRate: 'tarif_journalier'
+  };
 
+  const EMPTY_VEHICLE = {
+    plate: '',
+    model: '',
+    category: '',
+    mileage: '',
+    status: VEHICLE_STATUSES.initial,
+    dailyRate: '',
+    notes: ''
+  };
 
- 
+  // Vehicles Tab component (flotte)
+  const VehiclesTab = ({
+    showToast,
+    modal,
+    openModal,
+    closeModal,
+    searchTerm,
+    sortConfig,
+    handleSort,
+    setConfirmDialog,
+    formatDate,
+    can
+  }) => {
+    const [data, setData] = useState({ vehicles: [] });
+    const [loading, setLoading] = useState(true);
+    const [pagination, setPagination] = useState({ page: 1, pageSize: 20, total: 0 });
+    const { page, pageSize } = pagination;
+    const [filters, setFilters] = useState({ category: '', status: '' });
+
+    const sortBy = VEHICLE_SORT_FIELDS[sortConfig.field] || 'immatriculation';
+    const order = sortConfig.field ? sortConfig.direction.toUpperCase() : 'ASC';
+    const filterParams = useMemo(() => ({
+      categorie: filters.category || undefined,
+      statut: filters.status || undefined
+    }), [filters]);
+
+    // Nouvelle recherche, nouveaux filtres ou nouveau tri : retour à la première page
+    const queryKey = `${searchTerm}|${sortBy}|${order}|${JSON.stringify(filterParams)}`;
+    const [lastQueryKey, setLastQueryKey] = useState(queryKey);
+    if (queryKey !== lastQueryKey) {
+      setLastQueryKey(queryKey);
+      setPagination(prev => ({ ...prev, page: 1 }));
+    }
 
-    // Settings Tab component
-    const SettingsTab = ({ exportGlobalJSON, handleFileImport, data, resetData }) => {
-      return (
-        <div className="settings-tab">
-          <div className="tab-header">
-            <h2>Paramètres</h2>
-          </div>
+    const [formData, setFormData] = useState(EMPTY_VEHICLE);
+    const [vehicleReservations, setVehicleReservations] = useState([]);
 
-          <div className="settings-sections">
-            <section className="settings-section">
-              <h3>Export / Import</h3>
-              <div className="settings-actions">
-                <button className="btn btn-secondary" onClick={exportGlobalJSON}>
-                  Exporter toutes les données (JSON)
-                </button>
-                <div className="import-group">
-                  <input
-                    type="file"
-                    accept=".json"
-                    onChange={handleFileImport}
-                    style={{ display: 'none' }}
-                    id="global-import"
-                  />
-                  <label htmlFor="global-import" className="btn btn-secondary">
-                    Importer des données (JSON)
-                  </label>
-                </div>
-              </div>
-            </section>
+    const fetchVehicles = useCallback(async () => {
+      setLoading(true);
+      try {
+        const search = searchTerm.trim() || undefined;
+        const [list, countRes] = await Promise.all([
+          api.list(VEHICLE_API_URL, {
+            sortBy,
+            order,
+            search,
+            ...filterParams,
+            limit: pageSize,
+            offset: (page - 1) * pageSize
+          }),
+          api.get(`${VEHICLE_API_URL}/count`, { search, ...filterParams })
+        ]);
+        const total = countRes.count || 0;
 
-            <section className="settings-section">
+        // Page devenue vide (ex: après une suppression) : revenir à la dernière page
+        if (list.length === 0 && page > 1) {
+          setPagination(prev => ({ ...prev, page: Math.max(1, Math.ceil(total / pageSize)) }));
+          return;
+        }
+
+        setData({ vehicles: list.map(mapVehicleFromApi) });
+        setPagination(prev => ({ ...prev, total }));
+      } catch (error) {
+        console.error('Erreur chargement flotte:', error);
+        showToast('error', 'Impossible de charger les véhicules');
+      } finally {
+        setLoading(false);
+      }
+    }, [page, pageSize, sortBy, order, searchTerm, filterParams, showToast]);
+
+    // Charger la page courante de la flotte
+    useEffect(() => {
+      fetchVehicles();
+    }, [fetchVehicles]);
+
+    // Ouverture directe d'un véhicule depuis l'URL (/dashboard/vehicules/:id)
+    useEffect(() => {
+      if (loading || !modal.recordId) return;
+
+      const vehicle = data.vehicles.find(item => item.id === modal.recordId);
+      if (vehicle) {
+        setFormData(vehicle);
+        return;
+      }
+
+      // Véhicule absent de la page courante : le charger directement
+      api.get(`${VEHICLE_API_URL}/${modal.recordId}`)
+        .then(result => setFormData(mapVehicleFromApi(result.data || result)))
+        .catch(() => {
+          showToast('error', 'Véhicule introuvable');
+          closeModal();
+        });
+    }, [loading, modal.recordId, data.vehicles, showToast, closeModal]);
+
+    // Réservations attribuées au véhicule affiché
+    const viewedVehicleId = modal.type === 'view-vehicule' ? modal.recordId : null;
+    useEffect(() => {
+      if (!viewedVehicleId) return;
+
+      api.list(RESERVATION_API_URL, { vehicule_id: viewedVehicleId, sortBy: 'date_heure_depart', order: 'DESC', limit: 50 })
+        .then(list => setVehicleReservations(
+          list.map(mapReservationFromApi).filter(reservation => reservation.vehicleId === viewedVehicleId)
+        ))
+        .catch(error => console.error('Erreur chargement des locations du véhicule:', error));
+    }, [viewedVehicleId]);
+
+    // Soumettre (créer ou modifier)
+    const handleSubmit = async (e) => {
+      e.preventDefault();
+
+      if (!formData.plate.trim() || !formData.model.trim() || !formData.category) {
+        showToast('error', 'Veuillez remplir tous les champs obligatoires');
+        return;
+      }
+
+      try {
+        if (modal.data) {
+          await api.put(`${VEHICLE_API_URL}/${modal.data.id}`, buildVehiclePayload(formData));
+        } else {
+          await api.post(VEHICLE_API_URL, buildVehiclePayload({ ...formData, currency: getBaseCurrency() }));
+        }
+
+        showToast('success', modal.data ? 'Véhicule modifié' : 'Véhicule ajouté à la flotte');
+        fetchVehicles();
+        setFormData(EMPTY_VEHICLE);
+        closeModal();
+      } catch (error) {
+        console.error('Erreur enregistrement véhicule:', error);
+        showToast('error', error.message || 'Erreur réseau');
+      }
+    };
+
+    const handleCreate = () => {
+      setFormData(EMPTY_VEHICLE);
+      openModal('create-vehicule');
+    };
+
+    const handleEdit = (vehicle) => {
+      setFormData(vehicle);
+      openModal('edit-vehicule', vehicle);
+    };
+
+    const handleView = (vehicle) => {
+      setFormData(vehicle);
+      setVehicleReservations([]);
+      openModal('view-vehicule', vehicle);
+    };
+
+    const handleDelete = (vehicle) => {
+      setConfirmDialog({
+        isOpen: true,
+        title: 'Retirer le véhicule',
+        message: `Retirer ${formatVehicleLabel(vehicle)} de la flotte ?`,
+        onConfirm: async () => {
+          try {
+            await api.delete(`${VEHICLE_API_URL}/${vehicle.id}`);
+            showToast('success', 'Véhicule retiré de la flotte');
+            fetchVehicles();
+          } catch (error) {
+            console.error('Erreur suppression véhicule:', error);
+            showToast('error', error.message || 'Erreur réseau');
+          } finally {
+            setConfirmDialog({ isOpen: false });
+          }
+        },
+        onCancel: () => setConfirmDialog({ isOpen: false })
+      });
+    };
+
+    const filteredVehicles = data.vehicles.filter(vehicle => (
+      (!filters.category || vehicle.category === filters.category) &&
+      (!filters.status || vehicle.status === filters.status)
+    ));
+
+    const columns = [
+      { key: 'plate', label: 'Immatriculation', sortable: true },
+      { key: 'model', label: 'Modèle', sortable: true },
+      { key: 'category', label: 'Catégorie', sortable: true },
+      {
+        key: 'mileage',
+        label: 'Kilométrage',
+        sortable: true,
+        type: 'number',
+        render: (value) => (value === '' ? '—' : `${Number(value).toLocaleString('fr-FR')} km`)
+      },
+      {
+        key: 'dailyRate',
+        label: 'Tarif / jour',
+        sortable: true,
+        type: 'number',
+        render: (value, item) => (value === '' ? '—' : formatAmount(value, item.currency))
+      },
+      {
+        key: 'status',
+        label: 'Statut',
+        sortable: true,
+        render: (value) => <StatusBadge workflow={VEHICLE_STATUSES} value={value} />
+      },
+      {
+        key: 'actions',
+        label: 'Actions',
+        render: (_, item) => (
+          <div className="action-buttons">
+            <button className="btn-icon view" onClick={() => handleView(item)} title="Voir les détails">
+              👁️
+            </button>
+            {can('fleet:edit') && (
+              <button className="btn-icon edit" onClick={() => handleEdit(item)} title="Modifier">
+                ✏️
+              </button>
+            )}
+            {can('fleet:delete') && (
+              <button className="btn-icon delete" onClick={() => handleDelete(item)} title="Retirer de la flotte">
+                🗑️
+              </button>
+            )}
+          </div>
+        )
+      }
+    ];
+
+    if (loading && data.vehicles.length === 0) return <div>Chargement de la flotte...</div>;
+
+    return (
+      <div className="vehicles-tab">
+        <div className="tab-header">
+          <h2>Flotte de véhicules</h2>
+          {can('fleet:edit') && (
+            <button className="btn btn-primary" onClick={handleCreate}>
+              Ajouter un véhicule
+            </button>
+          )}
+        </div>
+
+        <div className="filters-bar">
+          <select
+            value={filters.category}
+            onChange={(e) => setFilters(prev => ({ ...prev, category: e.target.value }))}
+          >
+            <option value="">Toutes catégories</option>
+            {VEHICLE_CATEGORIES.map(category => (
+              <option key={category} value={category}>{category}</option>
+            ))}
+          </select>
+          <select
+            value={filters.status}
+            onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+          >
+            <option value="">Tous statuts</option>
+            {getStatusOptions(VEHICLE_STATUSES).map(status => (
+              <option key={status.value} value={status.value}>{status.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <DataTable
+          columns={columns}
+          data={filteredVehicles}
+          searchTerm={searchTerm}
+          sortField={sortConfig.field}
+          sortDirection={sortConfig.direction}
+          onSort={handleSort}
+          serverSide
+        />
+
+        <Pagination
+          page={page}
+          pageSize={pageSize}
+          total={pagination.total}
+          onPageChange={(newPage) => setPagination(prev => ({ ...prev, page: newPage }))}
+          onPageSizeChange={(newSize) => setPagination(prev => ({ ...prev, page: 1, pageSize: newSize }))}
+        />
+
+        {/* Modal création/modification */}
+        {modal.isOpen && (modal.type === 'create-vehicule' || modal.type === 'edit-vehicule') && (
+          <div className="modal-overlay">
+            <div className="modal-content">
+              <h3>{modal.type === 'create-vehicule' ? 'Nouveau véhicule' : 'Modifier le véhicule'}</h3>
+              <form onSubmit={handleSubmit}>
+                <div className="form-grid">
+                  <div className="form-group">
+                    <label htmlFor="veh-plate">Immatriculation *</label>
+                    <input
+                      id="veh-plate"
+                      type="text"
+                      value={formData.plate}
+                      placeholder="ex: RC-1234-A"
+                      onChange={(e) => setFormData(prev => ({ ...prev, plate: e.target.value }))}
+                      required
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="veh-model">Modèle *</label>
+                    <input
+                      id="veh-model"
+                      type="text"
+                      value={formData.model}
+                      placeholder="ex: Toyota Land Cruiser"
+                      onChange={(e) => setFormData(prev => ({ ...prev, model: e.target.value }))}
+                      required
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="veh-category">Catégorie *</label>
+                    <select
+                      id="veh-category"
+                      value={formData.category}
+                      onChange={(e) => setFormData(prev => ({ ...prev, category: e.target.value }))}
+                      required
+                    >
+                      <option value="">Sélectionner</option>
+                      {VEHICLE_CATEGORIES.map(category => (
+                        <option key={category} value={category}>{category}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="veh-status">Statut</label>
+                    <select
+                      id="veh-status"
+                      value={formData.status}
+                      onChange={(e) => setFormData(prev => ({ ...prev, status: e.target.value }))}
+                    >
+                      {getStatusOptions(VEHICLE_STATUSES).map(status => (
+                        <option key={status.value} value={status.value}>{status.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="veh-mileage">Kilométrage</label>
+                    <input
+                      id="veh-mileage"
+                      type="number"
+                      min="0"
+                      value={formData.mileage}
+                      onChange={(e) => setFormData(prev => ({ ...prev, mileage: e.target.value }))}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="veh-dailyRate">Tarif journalier ({formData.currency || getBaseCurrency()})</label>
+                    <input
+                      id="veh-dailyRate"
+                      type="number"
+                      min="0"
+                      value={formData.dailyRate}
+                      onChange={(e) => setFormData(prev => ({ ...prev, dailyRate: e.target.value }))}
+                    />
+                  </div>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="veh-notes">Notes</label>
+                  <textarea
+                    id="veh-notes"
+                    value={formData.notes}
+                    onChange={(e) => setFormData(prev => ({ ...prev, notes: e.target.value }))}
+                    rows="3"
+                  />
+                </div>
+                <div className="modal-actions">
+                  <button type="button" className="btn btn-secondary" onClick={closeModal}>
+                    Annuler
+                  </button>
+                  <button type="submit" className="btn btn-primary">
+                    {modal.type === 'create-vehicule' ? 'Enregistrer' : 'Modifier'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
+        {/* Modal vue détaillée */}
+        {modal.isOpen && modal.type === 'view-vehicule' && (
+          <div className="modal-overlay">
+            <div className="modal-content">
+              <h3>{formData.plate ? formatVehicleLabel(formData) : 'Véhicule'}</h3>
+              <div className="view-details">
+                <div className="detail-row">
+                  <span className="detail-label">Catégorie:</span>
+                  <span className="detail-value">{formData.category}</span>
+                </div>
+                <div className="detail-row">
+                  <span className="detail-label">Kilométrage:</span>
+                  <span className="detail-value">
+                    {formData.mileage === '' ? 'Non renseigné' : `${Number(formData.mileage).toLocaleString('fr-FR')} km`}
+                  </span>
+                </div>
+                <div className="detail-row">
+                  <span className="detail-label">Tarif journalier:</span>
+                  <span className="detail-value">{formData.dailyRate === '' ? 'Non renseigné' : formatAmount(formData.dailyRate, formData.currency)}</span>
+                </div>
+                <div className="detail-row">
+                  <span className="detail-label">Statut:</span>
+                  <span className="detail-value">
+                    <StatusBadge workflow={VEHICLE_STATUSES} value={formData.status} />
+                  </span>
+                </div>
+                {formData.notes && (
+                  <div className="detail-row full-width">
+                    <span className="detail-label">Notes:</span>
+                    <div className="detail-value message-content">{formData.notes}</div>
+                  </div>
+                )}
+                <div className="detail-row full-width">
+                  <span className="detail-label">Locations:</span>
+                  <div className="detail-value">
+                    {vehicleReservations.length > 0 ? (
+                      <ul className="status-history">
+                        {vehicleReservations.map(reservation => (
+                          <li key={reservation.id}>
+                            <StatusBadge workflow={RESERVATION_WORKFLOW} value={reservation.status} />
+                            <strong>{reservation.name}</strong>
+                            <span>{formatDate(reservation.startDate)} → {formatDate(reservation.endDate)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <span>Aucune location attribuée</span>
+                    )}
+                  </div>
+                </div>
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="btn btn-secondary" onClick={closeModal}>
+                  Fermer
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Clients Tab component
+  // Annuaire reconstruit à partir des devis et réservations : recherche, tri et pagination locaux
+  const ClientsTab = ({
+    showToast,
+    modal,
+    openModal,
+    closeModal,
+    searchTerm,
+    sortConfig,
+    handleSort,
+    setConfirmDialog,
+    formatDate,
+    can
+  }) => {
+    const [clients, setClients] = useState([]);
+    const [truncated, setTruncated] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [pagination, setPagination] = useState({ page: 1, pageSize: 20 });
+    const { page, pageSize } = pagination;
+
+    const canViewDevis = can('devis:view');
+    const canViewReservations = can('reservations:view');
+
+    // Nouvelle recherche ou nouveau tri : retour à la première page
+    const queryKey = `${searchTerm}|${sortConfig.field}|${sortConfig.direction}`;
+    const [lastQueryKey, setLastQueryKey] = useState(queryKey);
+    if (queryKey !== lastQueryKey) {
+      setLastQueryKey(queryKey);
+      setPagination(prev => ({ ...prev, page: 1 }));
+    }
+
+    // Annuaire ou doublons probables (mémorisé par utilisateur)
+    const [viewMode, setViewMode] = useState(() => loadPreference('clients-view-mode', 'annuaire'));
+    // Regroupements écartés à la main, partagés par tous les postes (réglages serveur)
+    const [ignoredDuplicates, setIgnoredDuplicates] = useState(() => loadSetting('ignoredDuplicates', []));
+
+    // `refresh` : relire les données au lieu de l'annuaire partagé avec les formulaires
+    const loadClients = useCallback(async (refresh = false) => {
+      try {
+        const directory = await fetchClientDirectory(
+          { withDevis: canViewDevis, withReservations: canViewReservations },
+          { refresh }
+        );
+        setClients(directory.clients);
+        setTruncated(directory.truncated);
+      } catch (error) {
+        console.error('Erreur chargement annuaire clients:', error);
+        showToast('error', 'Impossible de charger les clients');
+      } finally {
+        setLoading(false);
+      }
+    }, [canViewDevis, canViewReservations, showToast]);
+
+    // Charger l'annuaire
+    useEffect(() => {
+      loadClients();
+    }, [loadClients]);
+
+    const handleViewModeChange = (mode) => {
+      setViewMode(mode);
+      savePreference('clients-view-mode', mode);
+    };
+
+    const filteredClients = useMemo(() => {
+      const matching = clients
+        .filter(client => matchesClient(client, searchTerm))
+        .map(client => ({
+          ...client,
+          devisCount: client.devis.length,
+          reservationCount: client.reservations.length
+        }));
+      if (!sortConfig.field) return matching;
+
+      const direction = sortConfig.direction === 'asc' ? 1 : -1;
+      const sortType = CLIENT_SORT_TYPES[sortConfig.field];
+      return matching.sort((a, b) => direction * compareValues(a[sortConfig.field], b[sortConfig.field], sortType));
+    }, [clients, searchTerm, sortConfig]);
+
+    const pageClients = filteredClients.slice((page - 1) * pageSize, page * pageSize);
+
+    // Comparaison deux à deux des noms : calculée une fois par chargement de l'annuaire
+    const allDuplicateGroups = useMemo(() => findDuplicateGroups(clients), [clients]);
+    const duplicateGroups = useMemo(() => (
+      allDuplicateGroups.filter(group => (
+        !ignoredDuplicates.includes(group.id) &&
+        group.clients.some(client => matchesClient(client, searchTerm))
+      ))
+    ), [allDuplicateGroups, ignoredDuplicates, searchTerm]);
+
+    // Liste relue avant l'ajout pour ne pas écraser un rejet fait entre-temps sur un autre poste
+    const handleIgnoreDuplicate = async (group) => {
+      try {
+        await fetchSettings();
+        const ignored = [...new Set([...loadSetting('ignoredDuplicates', []), group.id])];
+        await saveSetting('ignoredDuplicates', ignored);
+        setIgnoredDuplicates(ignored);
+      } catch (error) {
+        console.error('Erreur enregistrement du rejet de doublon:', error);
+        showToast('error', error.message || 'Erreur réseau');
+      }
+    };
+
+    const handleMerge = (group, identity, updates) => {
+      const count = updates.devis.length + updates.reservations.length;
+      setConfirmDialog({
+        isOpen: true,
+        title: 'Fusionner les fiches',
+        message: `Mettre à jour ${count} enregistrement(s) au nom de ${identity.name || 'ce client'} ? Les demandes et locations sont toutes conservées.`,
+        onConfirm: async () => {
+          try {
+            const failures = await mergeClientRecords(updates, identity);
+            if (failures > 0) {
+              showToast('error', `${failures} enregistrement(s) n'ont pas pu être mis à jour`);
+            } else {
+              showToast('success', 'Fiches fusionnées');
+            }
+            loadClients(true);
+          } finally {
+            setConfirmDialog({ isOpen: false });
+          }
+        },
+        onCancel: () => setConfirmDialog({ isOpen: false })
+      });
+    };
+
+    // Ouverture directe d'un client depuis l'URL (/dashboard/clients/:id)
+    const viewedClient = modal.type === 'view-client'
+      ? clients.find(client => client.id === modal.recordId)
+      : null;
+    useEffect(() => {
+      if (loading || modal.type !== 'view-client' || viewedClient) return;
+
+      showToast('error', 'Client introuvable');
+      closeModal();
+    }, [loading, modal.type, viewedClient, showToast, closeModal]);
+
+    const columns = [
+      { key: 'name', label: 'Nom', sortable: true, render: (value) => value || 'Sans nom' },
+      { key: 'emails', label: 'Email', render: (value) => value.join(', ') || '—' },
+      { key: 'phones', label: 'Téléphone', render: (value) => value.join(', ') || '—' },
+      ...(canViewDevis ? [{ key: 'devisCount', label: 'Demandes', sortable: true }] : []),
+      ...(canViewReservations ? [{ key: 'reservationCount', label: 'Locations', sortable: true }] : []),
+      {
+        key: 'lastActivity',
+        label: 'Dernière activité',
+        sortable: true,
+        render: (value) => (value ? formatDate(value) : '—')
+      },
+      {
+        key: 'actions',
+        label: 'Actions',
+        render: (_, item) => (
+          <div className="action-buttons">
+            <button className="btn-icon view" onClick={() => openModal('view-client', item)} title="Voir l'historique">
+              👁️
+            </button>
+          </div>
+        )
+      }
+    ];
+
+    if (loading) return <div>Chargement des clients...</div>;
+
+    return (
+      <div className="clients-tab">
+        <div className="tab-header">
+          <h2>Clients</h2>
+          <button className="btn btn-secondary" onClick={() => loadClients(true)}>
+            <i className="fa fa-refresh"></i> Actualiser
+          </button>
+          <div className="view-toggle">
+            <button
+              className={viewMode === 'annuaire' ? 'active' : ''}
+              onClick={() => handleViewModeChange('annuaire')}
+            >
+              <i className="fa fa-address-book"></i> Annuaire
+            </button>
+            <button
+              className={viewMode === 'doublons' ? 'active' : ''}
+              onClick={() => handleViewModeChange('doublons')}
+            >
+              <i className="fa fa-clone"></i> Doublons ({duplicateGroups.length})
+            </button>
+          </div>
+        </div>
+
+        {truncated && (
+          <p className="directory-warning">
+            Annuaire incomplet : le serveur n'a pas renvoyé toutes les demandes et réservations.
+            L'historique des clients les plus anciens peut manquer.
+          </p>
+        )}
+
+        {viewMode === 'doublons' ? (
+          <ClientDuplicates
+            groups={duplicateGroups}
+            formatDate={formatDate}
+            canEditDevis={can('devis:edit')}
+            canEditReservations={can('reservations:edit')}
+            onMerge={handleMerge}
+            onIgnore={handleIgnoreDuplicate}
+          />
+        ) : (
+          <>
+            <DataTable
+              columns={columns}
+              data={pageClients}
+              sortField={sortConfig.field}
+              sortDirection={sortConfig.direction}
+              onSort={handleSort}
+              serverSide
+            />
+
+            <Pagination
+              page={page}
+              pageSize={pageSize}
+              total={filteredClients.length}
+              onPageChange={(newPage) => setPagination(prev => ({ ...prev, page: newPage }))}
+              onPageSizeChange={(newSize) => setPagination({ page: 1, pageSize: newSize })}
+            />
+          </>
+        )}
+
+        {/* Modal historique du client */}
+        {modal.isOpen && viewedClient && (
+          <div className="modal-overlay">
+            <div className="modal-content modal-large">
+              <h3>{viewedClient.name || 'Client'}</h3>
+              <div className="view-details">
+                {viewedClient.names.length > 1 && (
+                  <div className="detail-row full-width">
+                    <span className="detail-label">Autres orthographes:</span>
+                    <span className="detail-value">{viewedClient.names.slice(1).join(', ')}</span>
+                  </div>
+                )}
+                <div className="detail-row">
+                  <span className="detail-label">Email:</span>
+                  <span className="detail-value">{viewedClient.emails.join(', ') || 'Non renseigné'}</span>
+                </div>
+                <div className="detail-row">
+                  <span className="detail-label">Téléphone:</span>
+                  <span className="detail-value">{viewedClient.phones.join(', ') || 'Non renseigné'}</span>
+                </div>
+                {viewedClient.address && (
+                  <div className="detail-row">
+                    <span className="detail-label">Adresse:</span>
+                    <span className="detail-value">{viewedClient.address}</span>
+                  </div>
+                )}
+                {viewedClient.idNumber && (
+                  <div className="detail-row">
+                    <span className="detail-label">Pièce d'identité:</span>
+                    <span className="detail-value">{viewedClient.idNumber}</span>
+                  </div>
+                )}
+                {canViewDevis && (
+                  <div className="detail-row full-width">
+                    <span className="detail-label">Demandes de devis:</span>
+                    <div className="detail-value">
+                      {viewedClient.devis.length > 0 ? (
+                        <ul className="status-history client-history">
+                          {viewedClient.devis.map(devis => (
+                            <li key={devis.id}>
+                              <StatusBadge workflow={DEVIS_WORKFLOW} value={devis.status} />
+                              <strong>{devis.projectType}</strong>
+                              <span>{devis.createdAt ? formatDate(devis.createdAt) : '—'}</span>
+                              <button className="btn-icon view" onClick={() => openModal('view-devis', devis)} title="Ouvrir la demande">
+                                👁️
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <span>Aucune demande</span>
+                      )}
+                    </div>
+                  </div>
+                )}
+                {canViewReservations && (
+                  <div className="detail-row full-width">
+                    <span className="detail-label">Locations:</span>
+                    <div className="detail-value">
+                      {viewedClient.reservations.length > 0 ? (
+                        <ul className="status-history client-history">
+                          {viewedClient.reservations.map(reservation => (
+                            <li key={reservation.id}>
+                              <StatusBadge workflow={RESERVATION_WORKFLOW} value={reservation.status} />
+                              <strong>{reservation.model || reservation.vehicleType}</strong>
+                              <span>{formatDate(reservation.startDate)} → {formatDate(reservation.endDate)}</span>
+                              <button className="btn-icon view" onClick={() => openModal('view-reservation', reservation)} title="Ouvrir la réservation">
+                                👁️
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <span>Aucune location</span>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="btn btn-secondary" onClick={closeModal}>
+                  Fermer
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+    // Portfolio Tab component
+
+
+ 
+
+    // Settings Tab component
+    const SettingsTab = ({ exportGlobalJSON, handleFileImport, data, resetData, showToast, can }) => {
+      return (
+        <div className="settings-tab">
+          <div className="tab-header">
+            <h2>Paramètres</h2>
+          </div>
+
+          <div className="settings-sections">
+            <section className="settings-section">
+              <h3>Export / Import</h3>
+              <div className="settings-actions">
+                <button className="btn btn-secondary" onClick={exportGlobalJSON}>
+                  Exporter toutes les données (JSON)
+                </button>
+                {can('data:import') && (
+                  <div className="import-group">
+                    <input
+                      type="file"
+                      accept=".json"
+                      onChange={handleFileImport}
+                      style={{ display: 'none' }}
+                      id="global-import"
+                    />
+                    <label htmlFor="global-import" className="btn btn-secondary">
+                      Importer des données (JSON)
+                    </label>
+                  </div>
+                )}
+              </div>
+            </section>
+
+            <CurrencySettings showToast={showToast} canEdit={can('settings:edit')} />
+            <CapacitySettings showToast={showToast} canEdit={can('settings:edit')} />
+            <PricingSettings showToast={showToast} canEdit={can('settings:edit')} />
+
+            <section className="settings-section">
               <h3>Données</h3>
               <div className="settings-stats">
                 <div className="stat-item">
@@ -1597,7 +3489,12 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                   <strong>{data.portfolio.length}</strong>
                 </div>
               </div>
-              <button className="btn btn-danger" onClick={resetData}>
+              <button
+                className="btn btn-danger"
+                onClick={resetData}
+                disabled={!can('data:reset')}
+                title={can('data:reset') ? undefined : 'Réservé aux administrateurs'}
+              >
                 Réinitialiser toutes les données
               </button>
             </section>
@@ -1609,6 +3506,14 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                   <span>Version:</span>
                   <strong>G-TRAF+ Admin v1.0</strong>
                 </div>
+                <div className="info-item">
+                  <span>Backend API:</span>
+                  <strong>{API_BASE_URL}</strong>
+                </div>
+                <div className="info-item">
+                  <span>Environnement:</span>
+                  <strong>{APP_ENV}</strong>
+                </div>
                 <div className="info-item">
                   <span>Stockage:</span>
                   <strong>Local Storage</strong>
@@ -1627,14 +3532,88 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
     // Dashboard main component
     const Dashboard = () => {
       // State
-      const [currentTab, setCurrentTab] = useState('accueil');
       const [data, setData] = useState(initialData);
       const [sidebarOpen, setSidebarOpen] = useState(true);
       const [searchTerm, setSearchTerm] = useState('');
+      const debouncedSearchTerm = useDebouncedValue(searchTerm);
       const [toast, setToast] = useState(null);
       const [confirmDialog, setConfirmDialog] = useState({ isOpen: false });
-      const [modal, setModal] = useState({ isOpen: false, type: '', data: null });
       const [sortConfig, setSortConfig] = useState({ field: null, direction: 'asc' });
+      const navigate = useNavigate();
+      const location = useLocation();
+      const params = useParams();
+
+      // Onglet et modale dérivés de l'URL : /dashboard/:tab/:recordId?/:action?
+      const [currentTab = 'accueil', routeSegment, routeAction] = (params['*'] || '').split('/').filter(Boolean);
+      const modalRoute = getModalFromRoute(currentTab, routeSegment, routeAction);
+      const modal = modalRoute
+        ? {
+            isOpen: true,
+            type: modalRoute.type,
+            recordId: modalRoute.recordId,
+            data: modalRoute.recordId ? location.state?.record || { id: modalRoute.recordId } : null
+          }
+        : { isOpen: false, type: '', recordId: null, data: null };
+      const currentUser = getCurrentUser();
+      const userRole = getUserRole(currentUser);
+      const can = (permission) => hasPermission(userRole, permission);
+
+      // Redirection vers la connexion quand la session expire (401 ou jeton expiré)
+      useEffect(() => {
+        const handleSessionExpired = () => {
+          navigate('/login', { replace: true, state: { from: location, sessionExpired: true } });
+        };
+
+        window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+        return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+      }, [navigate, location]);
+
+      // Expiration automatique à l'échéance du jeton
+      useEffect(() => {
+        const expiresAt = getSessionExpiry();
+        if (!expiresAt) return;
+
+        // setTimeout ne supporte pas les délais supérieurs à ~24 jours
+        const delay = Math.min(Math.max(expiresAt - Date.now(), 0), 2147483647);
+        const timer = setTimeout(expireSession, delay);
+        return () => clearTimeout(timer);
+      }, []);
+
+      // Nouvelles demandes de devis restées sans réponse au-delà du délai promis
+      const [overdueDevis, setOverdueDevis] = useState(0);
+      const canViewDevis = can('devis:view');
+      useEffect(() => {
+        if (!canViewDevis) return;
+
+        const fetchOverdue = async () => {
+          try {
+            const { devis } = await fetchAllDevis();
+            setOverdueDevis(devis.filter(item => isResponseOverdue(item)).length);
+          } catch (error) {
+            console.error('Erreur suivi du délai de réponse:', error);
+          }
+        };
+
+        fetchOverdue();
+        const interval = setInterval(fetchOverdue, 5 * 60 * 1000);
+        return () => clearInterval(interval);
+      }, [canViewDevis]);
+
+      // Réglages partagés (colonnes, capacités, tarifs, devises) chargés avant les onglets
+      const [settingsReady, setSettingsReady] = useState(false);
+      useEffect(() => {
+        fetchSettings()
+          .catch(error => {
+            console.error('Erreur chargement des réglages:', error);
+            setToast({ type: 'error', message: 'Réglages partagés indisponibles : dernière copie locale utilisée' });
+          })
+          .finally(() => setSettingsReady(true));
+      }, []);
+
+      const handleLogout = () => {
+        clearSession();
+        navigate('/login', { replace: true });
+      };
 
       // Load data from localStorage
       useEffect(() => {
@@ -1656,18 +3635,26 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
       };
 
       // Toast management
-      const showToast = (type, message) => {
+      const showToast = useCallback((type, message) => {
         setToast({ type, message });
+      }, []);
+
+      // Navigation
+      const setCurrentTab = (tabId) => {
+        navigate(`/dashboard/${tabId}`);
       };
 
       // Modal management
       const openModal = (type, data = null) => {
-        setModal({ isOpen: true, type, data });
+        const path = getModalPath(type, data);
+        if (path) {
+          navigate(`/dashboard/${path}`, { state: { record: data } });
+        }
       };
 
-      const closeModal = () => {
-        setModal({ isOpen: false, type: '', data: null });
-      };
+      const closeModal = useCallback(() => {
+        navigate(`/dashboard/${currentTab}`);
+      }, [navigate, currentTab]);
 
       // Sorting
       const handleSort = (field) => {
@@ -1683,20 +3670,84 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
         showToast('success', 'Export JSON global terminé');
       };
 
-      const exportDevisCSV = () => {
-        downloadCSV('devis', data.devis);
-        showToast('success', 'Export CSV devis terminé');
+      // Exports CSV lus sur le serveur, toutes pages confondues
+      const exportDevisCSV = async () => {
+        try {
+          const { records, truncated } = await fetchAllPages(DEVIS_API_URL, { sortBy: 'date_creation', order: 'DESC' });
+          if (records.length === 0) {
+            showToast('error', 'Aucune demande de devis à exporter');
+            return;
+          }
+
+          downloadCSV('devis', records.map(mapDevisFromApi).map(devis => ({
+            id: devis.id,
+            name: devis.name,
+            email: devis.email,
+            phone: devis.phone || '',
+            projectType: devis.projectType,
+            budget: devis.budget || '',
+            budgetCurrency: devis.budget ? devis.budgetCurrency : '',
+            message: devis.message,
+            status: devis.status,
+            stage: devis.stage || '',
+            quotes: devis.quotes.length,
+            createdAt: devis.createdAt
+          })));
+          showToast(truncated ? 'error' : 'success', truncated
+            ? 'Export CSV devis incomplet : le serveur n\'a pas renvoyé toutes les demandes'
+            : 'Export CSV devis terminé');
+        } catch (error) {
+          console.error('Erreur export des devis:', error);
+          showToast('error', error.message || 'Erreur réseau');
+        }
       };
 
-      const exportReservationsCSV = () => {
-        downloadCSV('reservations', data.reservations);
-        showToast('success', 'Export CSV réservations terminé');
+      // Montants convertis dans la devise d'affichage de l'utilisateur
+      const exportReservationsCSV = async () => {
+        try {
+          const { records, truncated } = await fetchAllPages(RESERVATION_API_URL, { sortBy: 'date_heure_depart', order: 'DESC' });
+          if (records.length === 0) {
+            showToast('error', 'Aucune réservation à exporter');
+            return;
+          }
+
+          const pricingRules = resolvePricingRules(loadSetting('pricingRules'));
+          const currency = getDisplayCurrency();
+          downloadCSV('reservations', records.map(mapReservationFromApi).map(reservation => ({
+            id: reservation.id,
+            name: reservation.name,
+            email: reservation.email,
+            phone: reservation.phone,
+            vehicleType: reservation.vehicleType,
+            model: reservation.model,
+            startDate: reservation.startDate,
+            startTime: reservation.startTime,
+            endDate: reservation.endDate,
+            endTime: reservation.endTime,
+            pickupLocation: reservation.pickupLocation,
+            dropoffLocation: reservation.dropoffLocation,
+            options: getReservationOptions(reservation).join(' / '),
+            paymentMethod: reservation.paymentMethod,
+            status: reservation.status,
+            invoice: reservation.invoice?.numero || '',
+            payments: reservation.payments.length,
+            paid: exportAmount(computePaidAmount(reservation.payments, reservation.currency), reservation.currency),
+            estimatedPrice: exportAmount(computePrice(reservation, pricingRules).total, pricingRules.currency),
+            currency
+          })));
+          showToast(truncated ? 'error' : 'success', truncated
+            ? 'Export CSV réservations incomplet : le serveur n\'a pas renvoyé toutes les réservations'
+            : 'Export CSV réservations terminé');
+        } catch (error) {
+          console.error('Erreur export des réservations:', error);
+          showToast('error', error.message || 'Erreur réseau');
+        }
       };
 
       // Import function
       const handleFileImport = (event) => {
         const file = event.target.files[0];
-        if (!file) return;
+        if (!file || !can('data:import')) return;
 
         const reader = new FileReader();
         reader.onload = (e) => {
@@ -1714,6 +3765,8 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
 
       // Reset data
       const resetData = () => {
+        if (!can('data:reset')) return;
+
         setConfirmDialog({
           isOpen: true,
           title: 'Réinitialiser les données',
@@ -1730,17 +3783,22 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
       // Navigation tabs
       const tabs = [
         { id: 'accueil', label: 'Accueil', icon: '🏠' },
-        { id: 'devis', label: 'Demande de Devis', icon: '📋' },
-        { id: 'reservations', label: 'Réservations', icon: '🚗' },
+        { id: 'devis', label: 'Demande de Devis', icon: '📋', permission: 'devis:view' },
+        { id: 'reservations', label: 'Réservations', icon: '🚗', permission: 'reservations:view' },
+        { id: 'vehicules', label: 'Véhicules', icon: '🚙', permission: 'fleet:view' },
+        { id: 'clients', label: 'Clients', icon: '👥', permission: 'clients:view' },
     
-        { id: 'parametres', label: 'Paramètres', icon: '⚙️' }
-      ];
+        { id: 'parametres', label: 'Paramètres', icon: '⚙️', permission: 'settings:view' }
+      ].filter(tab => !tab.permission || can(tab.permission));
+
+      // Onglet affiché : retour à l'accueil si le rôle n'y a pas accès
+      const activeTab = tabs.some(tab => tab.id === currentTab) ? currentTab : 'accueil';
 
       // Render current tab content
       const renderTabContent = () => {
-        switch (currentTab) {
+        switch (activeTab) {
           case 'accueil':
-            return <HomeTab data={data} searchTerm={searchTerm} formatDate={formatDate} />;
+            return <HomeTab data={data} searchTerm={searchTerm} formatDate={formatDate} can={can} />;
           case 'devis':
             return (
               <DevisTab 
@@ -1750,11 +3808,12 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                 modal={modal} 
                 openModal={openModal} 
                 closeModal={closeModal} 
-                searchTerm={searchTerm} 
+                searchTerm={debouncedSearchTerm} 
                 sortConfig={sortConfig} 
                 handleSort={handleSort} 
                 exportDevisCSV={exportDevisCSV}
                 setConfirmDialog={setConfirmDialog}
+                can={can}
               />
             );
           case 'reservations':
@@ -1766,13 +3825,43 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                 modal={modal} 
                 openModal={openModal} 
                 closeModal={closeModal} 
-                searchTerm={searchTerm} 
+                searchTerm={debouncedSearchTerm} 
                 sortConfig={sortConfig} 
                 handleSort={handleSort} 
                 exportReservationsCSV={exportReservationsCSV}
                 setConfirmDialog={setConfirmDialog}
-                calcCarPrice={calcCarPrice}
                 formatDate={formatDate}
+                can={can}
+              />
+            );
+          case 'vehicules':
+            return (
+              <VehiclesTab
+                showToast={showToast}
+                modal={modal}
+                openModal={openModal}
+                closeModal={closeModal}
+                searchTerm={debouncedSearchTerm}
+                sortConfig={sortConfig}
+                handleSort={handleSort}
+                setConfirmDialog={setConfirmDialog}
+                formatDate={formatDate}
+                can={can}
+              />
+            );
+          case 'clients':
+            return (
+              <ClientsTab
+                showToast={showToast}
+                modal={modal}
+                openModal={openModal}
+                closeModal={closeModal}
+                searchTerm={debouncedSearchTerm}
+                sortConfig={sortConfig}
+                handleSort={handleSort}
+                setConfirmDialog={setConfirmDialog}
+                formatDate={formatDate}
+                can={can}
               />
             );
           case 'portfolio':
@@ -1797,10 +3886,12 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                 handleFileImport={handleFileImport} 
                 data={data} 
                 resetData={resetData}
+                showToast={showToast}
+                can={can}
               />
             );
           default:
-            return <HomeTab data={data} searchTerm={searchTerm} formatDate={formatDate} />;
+            return <HomeTab data={data} searchTerm={searchTerm} formatDate={formatDate} can={can} />;
         }
       };
 
@@ -1822,7 +3913,7 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
               {tabs.map(tab => (
                 <button
                   key={tab.id}
-                  className={`nav-item ${currentTab === tab.id ? 'active' : ''}`}
+                  className={`nav-item ${activeTab === tab.id ? 'active' : ''}`}
                   onClick={() => setCurrentTab(tab.id)}
                 >
                   <span className="nav-icon">{tab.icon}</span>
@@ -1848,14 +3939,33 @@ const DevisTab = ({ showToast, modal, openModal, closeModal, searchTerm, sortCon
                 <button className="btn btn-secondary" onClick={exportGlobalJSON}>
                   Exporter JSON global
                 </button>
-                <div className="badge">Réponse 24h</div>
-                <div className="avatar">👤</div>
+                {overdueDevis > 0 ? (
+                  <button
+                    type="button"
+                    className="badge badge-warning"
+                    title={`Nouvelles demandes sans réponse depuis plus de ${DEVIS_RESPONSE_DELAY_HOURS}h`}
+                    onClick={() => navigate(`/dashboard/devis?filtres=${encodeURIComponent(JSON.stringify({ statuses: [DEVIS_WORKFLOW.initial] }))}`)}
+                  >
+                    Réponse {DEVIS_RESPONSE_DELAY_HOURS}h · {overdueDevis} en retard
+                  </button>
+                ) : (
+                  <div className="badge">Réponse {DEVIS_RESPONSE_DELAY_HOURS}h</div>
+                )}
+                <div
+                  className="avatar"
+                  title={`${currentUser?.email || currentUser?.nom || ''} (${ROLE_LABELS[userRole] || userRole || 'aucun rôle'})`}
+                >
+                  👤
+                </div>
+                <button className="btn btn-secondary" onClick={handleLogout}>
+                  Déconnexion
+                </button>
               </div>
             </header>
 
             {/* Content */}
             <div className="content">
-              {renderTabContent()}
+              {settingsReady ? renderTabContent() : <div className="loading">Chargement des réglages...</div>}
             </div>
           </main>
 
@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import '../style/DevisBoard.css';
+import api from '../service/api';
+import { DEVIS_API_URL, buildDevisPayload, mapDevisFromApi } from '../service/devis';
+import { loadSetting, saveSetting } from '../service/settings';
+
+// Colonnes par défaut du tableau commercial (champ `etape` des devis)
+const DEFAULT_STAGES = [
+  { id: 'a_traiter', label: 'À traiter' },
+  { id: 'qualification', label: 'Qualification' },
+  { id: 'chiffrage', label: 'Chiffrage' },
+  { id: 'negociation', label: 'Négociation' },
+  { id: 'gagne', label: 'Gagné' },
+  { id: 'perdu', label: 'Perdu' }
+];
+
+// Nombre maximal de demandes chargées sur le tableau
+const BOARD_LIMIT = 500;
+
+const slugify = (label) => label
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_|_$/g, '');
+
+const formatAge = (date) => {
+  if (!date) return '';
+  const days = Math.floor((Date.now() - new Date(date).getTime()) / (1000 * 60 * 60 * 24));
+  if (days <= 0) return "Aujourd'hui";
+  if (days === 1) return 'Hier';
+  return `Il y a ${days} j`;
+};
+
+// Éditeur des colonnes (renommer, réordonner, ajouter, supprimer)
+const StagesEditor = ({ stages, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(stages);
+  const [newLabel, setNewLabel] = useState('');
+
+  const move = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= draft.length) return;
+    const next = [...draft];
+    [next[index], next[target]] = [next[target], next[index]];
+    setDraft(next);
+  };
+
+  const addStage = () => {
+    const label = newLabel.trim();
+    const id = slugify(label);
+    if (!label || draft.some(stage => stage.id === id)) return;
+    setDraft([...draft, { id, label }]);
+    setNewLabel('');
+  };
+
+  return (
+    <div className="board-stages-editor">
+      {draft.map((stage, index) => (
+        <div key={stage.id} className="board-stage-row">
+          <input
+            type="text"
+            value={stage.label}
+            onChange={(e) => setDraft(draft.map(item => (
+              item.id === stage.id ? { ...item, label: e.target.value } : item
+            )))}
+          />
+          <button type="button" className="btn-icon" onClick={() => move(index, -1)} title="Monter">↑</button>
+          <button type="button" className="btn-icon" onClick={() => move(index, 1)} title="Descendre">↓</button>
+          <button
+            type="button"
+            className="btn-icon delete"
+            onClick={() => setDraft(draft.filter(item => item.id !== stage.id))}
+            disabled={draft.length <= 1}
+            title="Supprimer la colonne"
+          >
+            🗑️
+          </button>
+        </div>
+      ))}
+
+      <div className="board-stage-row">
+        <input
+          type="text"
+          value={newLabel}
+          placeholder="Nouvelle colonne"
+          onChange={(e) => setNewLabel(e.target.value)}
+        />
+        <button type="button" className="btn btn-secondary" onClick={addStage}>Ajouter</button>
+      </div>
+
+      <div className="modal-actions">
+        <button type="button" className="btn btn-secondary" onClick={onCancel}>Annuler</button>
+        <button
+          type="button"
+          className="btn btn-primary"
+          onClick={() => onSave(draft.map(stage => ({ ...stage, label: stage.label.trim() || stage.id })))}
+        >
+          Enregistrer les colonnes
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Tableau Kanban des demandes de devis, par étape commerciale
+const DevisBoard = ({ showToast, searchTerm, filterParams, onView, canEdit, refreshKey }) => {
+  const [stages, setStages] = useState(() => loadSetting('devisStages', DEFAULT_STAGES));
+  const [devis, setDevis] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [editingStages, setEditingStages] = useState(false);
+  const [dragOverStage, setDragOverStage] = useState(null);
+
+  const fetchBoard = useCallback(async () => {
+    setLoading(true);
+    try {
+      const search = searchTerm.trim() || undefined;
+      const [list, countRes] = await Promise.all([
+        api.list(DEVIS_API_URL, {
+          sortBy: 'date_creation',
+          order: 'DESC',
+          search,
+          ...filterParams,
+          limit: BOARD_LIMIT
+        }),
+        api.get(`${DEVIS_API_URL}/count`, { search, ...filterParams })
+      ]);
+      setDevis(list.map(mapDevisFromApi));
+      setTotal(countRes.count || 0);
+    } catch (error) {
+      console.error('Erreur chargement du tableau des devis:', error);
+      showToast('error', 'Impossible de charger le tableau des devis');
+    } finally {
+      setLoading(false);
+    }
+  }, [searchTerm, filterParams, showToast]);
+
+  // `refreshKey` change quand un devis est modifié depuis les modales de l'onglet
+  useEffect(() => {
+    fetchBoard();
+  }, [fetchBoard, refreshKey]);
+
+  // Les demandes sans étape (ou d'une colonne supprimée) vont dans la première colonne
+  const getStageId = (item) => (
+    stages.some(stage => stage.id === item.stage) ? item.stage : stages[0].id
+  );
+
+  const handleDrop = async (event, stageId) => {
+    event.preventDefault();
+    setDragOverStage(null);
+
+    const id = event.dataTransfer.getData('text/plain');
+    const card = devis.find(item => item.id === id);
+    if (!card || getStageId(card) === stageId) return;
+
+    setDevis(prev => prev.map(item => (item.id === id ? { ...card, stage: stageId } : item)));
+
+    try {
+      // Relire la demande : statut, chiffrage ou fusion enregistrés depuis le chargement
+      // du tableau ne sont pas écrasés
+      const result = await api.get(`${DEVIS_API_URL}/${id}`);
+      const updated = { ...mapDevisFromApi(result.data || result), stage: stageId };
+      await api.put(`${DEVIS_API_URL}/${id}`, buildDevisPayload(updated));
+      setDevis(prev => prev.map(item => (item.id === id ? updated : item)));
+      const stage = stages.find(item => item.id === stageId);
+      showToast('success', `${card.name} déplacé vers « ${stage.label} »`);
+    } catch (error) {
+      console.error('Erreur déplacement du devis:', error);
+      setDevis(prev => prev.map(item => (item.id === id ? card : item)));
+      showToast('error', error.message || 'Erreur réseau');
+    }
+  };
+
+  // Colonnes partagées par tous les postes, comme l'étape enregistrée sur chaque demande
+  const handleSaveStages = async (newStages) => {
+    try {
+      await saveSetting('devisStages', newStages);
+      setStages(newStages);
+      setEditingStages(false);
+      showToast('success', 'Colonnes du tableau enregistrées');
+    } catch (error) {
+      console.error('Erreur enregistrement des colonnes:', error);
+      showToast('error', error.message || 'Erreur réseau');
+    }
+  };
+
+  if (loading && devis.length === 0) {
+    return <div className="loading">Chargement du tableau des devis...</div>;
+  }
+
+  return (
+    <div className="devis-board">
+      {canEdit && (
+        <div className="board-toolbar">
+          <button type="button" className="btn btn-secondary" onClick={() => setEditingStages(!editingStages)}>
+            Configurer les colonnes
+          </button>
+        </div>
+      )}
+
+      {total > devis.length && (
+        <p className="directory-warning">
+          {devis.length} demandes affichées sur {total} : affinez la recherche ou les filtres pour voir les autres.
+        </p>
+      )}
+
+      {editingStages && (
+        <StagesEditor
+          stages={stages}
+          onSave={handleSaveStages}
+          onCancel={() => setEditingStages(false)}
+        />
+      )}
+
+      <div className="board-columns">
+        {stages.map(stage => {
+          const cards = devis.filter(item => getStageId(item) === stage.id);
+
+          return (
+            <div
+              key={stage.id}
+              className={`board-column ${dragOverStage === stage.id ? 'drag-over' : ''}`}
+              onDragOver={(e) => {
+                if (!canEdit) return;
+                e.preventDefault();
+                setDragOverStage(stage.id);
+              }}
+              onDragLeave={() => setDragOverStage(null)}
+              onDrop={(e) => handleDrop(e, stage.id)}
+            >
+              <div className="board-column-header">
+                <h4>{stage.label}</h4>
+                <span className="board-column-count">{cards.length}</span>
+              </div>
+
+              <div className="board-cards">
+                {cards.map(item => (
+                  <div
+                    key={item.id}
+                    className="board-card"
+                    draggable={canEdit}
+                    onDragStart={(e) => e.dataTransfer.setData('text/plain', item.id)}
+                    onClick={() => onView(item)}
+                  >
+                    <strong>{item.name}</strong>
+                    <span>{item.projectType}</span>
+                    <div className="board-card-meta">
+                      <span>{item.budget || 'Budget non spécifié'}</span>
+                      <span>{formatAge(item.createdAt)}</span>
+                    </div>
+                  </div>
+                ))}
+                {cards.length === 0 && <p className="empty-message">Aucune demande</p>}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default DevisBoard;
@@ -0,0 +1,231 @@
+import React, { useState } from 'react';
+import '../style/FilterPanel.css';
+import {
+  DATE_RANGE_SHORTCUTS,
+  countActiveFilters,
+  createEmptyFilters,
+  resolveRelativeRanges
+} from '../utils/filters';
+import { loadUserSetting, saveUserSetting } from '../service/preferences';
+
+// Les options sont des chaînes ou des objets { value, label }
+const toOption = (option) => (typeof option === 'string' ? { value: option, label: option } : option);
+
+// Panneau de filtres avancés avec préréglages nommés enregistrés par utilisateur, sur le serveur
+const FilterPanel = ({
+  fields,
+  values,
+  onChange,
+  presetsKey,
+  presetsLabel = 'Filtres enregistrés',
+  presetPlaceholder = 'Nom du préréglage',
+  extraActions,
+  showToast
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [presets, setPresets] = useState(() => loadUserSetting(presetsKey, []));
+  const [presetName, setPresetName] = useState('');
+  const [selectedPreset, setSelectedPreset] = useState('');
+
+  const activeCount = countActiveFilters(fields, values);
+
+  const updateField = (key, value) => {
+    setSelectedPreset('');
+    onChange({ ...values, [key]: value });
+  };
+
+  const toggleOption = (key, option) => {
+    const current = values[key] || [];
+    updateField(key, current.includes(option)
+      ? current.filter(item => item !== option)
+      : [...current, option]);
+  };
+
+  const storePresets = async (newPresets) => {
+    try {
+      await saveUserSetting(presetsKey, newPresets);
+      setPresets(newPresets);
+      return true;
+    } catch (error) {
+      console.error('Erreur enregistrement des préréglages:', error);
+      showToast('error', error.message || 'Erreur réseau');
+      return false;
+    }
+  };
+
+  const handleSavePreset = async () => {
+    const name = presetName.trim();
+    if (!name) return;
+
+    if (await storePresets([...presets.filter(preset => preset.name !== name), { name, filters: values }])) {
+      setSelectedPreset(name);
+      setPresetName('');
+    }
+  };
+
+  const handleApplyPreset = (name) => {
+    setSelectedPreset(name);
+    const preset = presets.find(item => item.name === name);
+    if (preset) {
+      onChange(resolveRelativeRanges(fields, { ...createEmptyFilters(fields), ...preset.filters }));
+    }
+  };
+
+  const handleDeletePreset = async () => {
+    if (await storePresets(presets.filter(preset => preset.name !== selectedPreset))) {
+      setSelectedPreset('');
+    }
+  };
+
+  const handleReset = () => {
+    setSelectedPreset('');
+    onChange(createEmptyFilters(fields));
+  };
+
+  const renderField = (field) => {
+    const value = values[field.key];
+
+    switch (field.type) {
+      case 'dateRange':
+        return (
+          <>
+            <div className="filter-range">
+              <input
+                type="date"
+                aria-label={`${field.label} - du`}
+                value={value.from}
+                onChange={(e) => updateField(field.key, { from: e.target.value, to: value.to })}
+              />
+              <span>au</span>
+              <input
+                type="date"
+                aria-label={`${field.label} - au`}
+                value={value.to}
+                onChange={(e) => updateField(field.key, { from: value.from, to: e.target.value })}
+              />
+            </div>
+            <div className="filter-shortcuts">
+              {DATE_RANGE_SHORTCUTS.map(shortcut => (
+                <button
+                  key={shortcut.label}
+                  type="button"
+                  className={`filter-chip ${value.relative === shortcut.label ? 'active' : ''}`}
+                  onClick={() => updateField(field.key, { ...shortcut.range(), relative: shortcut.label })}
+                >
+                  {shortcut.label}
+                </button>
+              ))}
+            </div>
+          </>
+        );
+      case 'multiselect':
+        return (
+          <div className="checkbox-list">
+            {field.options.map(toOption).map(option => (
+              <label key={option.value} className="checkbox-group">
+                <input
+                  type="checkbox"
+                  checked={value.includes(option.value)}
+                  onChange={() => toggleOption(field.key, option.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+        );
+      case 'select':
+        return (
+          <select
+            id={`filter-${field.key}`}
+            value={value}
+            onChange={(e) => updateField(field.key, e.target.value)}
+          >
+            <option value="">Tous</option>
+            {field.options.map(toOption).map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        );
+      default:
+        return (
+          <input
+            id={`filter-${field.key}`}
+            type="text"
+            value={value}
+            placeholder={field.placeholder}
+            onChange={(e) => updateField(field.key, e.target.value)}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="filter-panel">
+      <div className="filter-panel-header">
+        <button type="button" className="btn btn-secondary" onClick={() => setIsOpen(!isOpen)}>
+          Filtres avancés{activeCount > 0 ? ` (${activeCount})` : ''} {isOpen ? '▲' : '▼'}
+        </button>
+
+        <div className="filter-presets">
+          <select
+            value={selectedPreset}
+            onChange={(e) => handleApplyPreset(e.target.value)}
+            aria-label={presetsLabel}
+          >
+            <option value="">{presetsLabel}</option>
+            {presets.map(preset => (
+              <option key={preset.name} value={preset.name}>{preset.name}</option>
+            ))}
+          </select>
+          {selectedPreset && (
+            <button type="button" className="btn-icon delete" onClick={handleDeletePreset} title="Supprimer ce préréglage">
+              🗑️
+            </button>
+          )}
+          {extraActions}
+        </div>
+
+        {activeCount > 0 && (
+          <button type="button" className="btn btn-secondary" onClick={handleReset}>
+            Réinitialiser
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="filter-panel-body">
+          <div className="filter-grid">
+            {fields.map(field => (
+              <div
+                key={field.key}
+                className={`form-group ${field.type === 'multiselect' ? 'form-group-full' : ''}`}
+              >
+                <label htmlFor={`filter-${field.key}`}>{field.label}</label>
+                {renderField(field)}
+              </div>
+            ))}
+          </div>
+
+          <div className="filter-save">
+            <input
+              type="text"
+              value={presetName}
+              placeholder={presetPlaceholder}
+              onChange={(e) => setPresetName(e.target.value)}
+            />
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleSavePreset}
+              disabled={!presetName.trim()}
+            >
+              Enregistrer
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FilterPanel;
@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { PAYMENT_METHODS } from '../service/reservations';
+import { CURRENCIES, formatMoney } from '../utils/currency';
+import { PAYMENT_TYPES, computePaidAmount } from '../utils/payments';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const createEmptyEntry = (currency) => ({
+  type: 'paiement',
+  method: PAYMENT_METHODS[0],
+  amount: '',
+  currency,
+  date: today(),
+  reference: ''
+});
+
+// Paiements et remboursements d'une réservation, avec le solde restant dû
+const PaymentLedger = ({ payments, amountDue, currency, canEdit, onAdd }) => {
+  const [entry, setEntry] = useState(() => createEmptyEntry(currency));
+  const [saving, setSaving] = useState(false);
+
+  const paid = computePaidAmount(payments, currency);
+  const balance = amountDue - paid;
+
+  const canAdd = Number(entry.amount) > 0 && entry.date;
+
+  const handleAdd = async () => {
+    setSaving(true);
+    const saved = await onAdd(entry);
+    setSaving(false);
+    if (saved) setEntry(createEmptyEntry(currency));
+  };
+
+  return (
+    <div className="payment-ledger">
+      <div className="payment-summary">
+        <div>
+          <span>Montant dû</span>
+          <strong>{formatMoney(amountDue, currency)}</strong>
+        </div>
+        <div>
+          <span>Réglé</span>
+          <strong>{formatMoney(paid, currency)}</strong>
+        </div>
+        <div className={balance > 0 ? 'balance-due' : ''}>
+          <span>{balance < 0 ? 'À rembourser' : 'Solde'}</span>
+          <strong>{formatMoney(Math.abs(balance), currency)}</strong>
+        </div>
+      </div>
+
+      {payments.length > 0 ? (
+        <table className="payment-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Type</th>
+              <th>Mode</th>
+              <th>Référence</th>
+              <th>Montant</th>
+              <th>Saisi par</th>
+            </tr>
+          </thead>
+          <tbody>
+            {payments.map((payment, index) => (
+              <tr key={`${payment.saisi_le}-${index}`} className={payment.type === 'remboursement' ? 'refund' : ''}>
+                <td>{payment.date ? new Date(payment.date).toLocaleDateString('fr-FR') : '—'}</td>
+                <td>{PAYMENT_TYPES.find(type => type.value === payment.type)?.label || payment.type}</td>
+                <td>{payment.mode || '—'}</td>
+                <td>{payment.reference || '—'}</td>
+                <td>
+                  {payment.type === 'remboursement' ? '- ' : ''}
+                  {formatMoney(payment.montant, payment.devise || currency)}
+                </td>
+                <td>{payment.par || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p>Aucun règlement enregistré</p>
+      )}
+
+      {canEdit && (
+        <div className="payment-form">
+          <select
+            aria-label="Type d'écriture"
+            value={entry.type}
+            onChange={(e) => setEntry(prev => ({ ...prev, type: e.target.value }))}
+          >
+            {PAYMENT_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+          <select
+            aria-label="Mode de règlement"
+            value={entry.method}
+            onChange={(e) => setEntry(prev => ({ ...prev, method: e.target.value }))}
+          >
+            {PAYMENT_METHODS.map(method => (
+              <option key={method} value={method}>{method}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            placeholder="Montant"
+            aria-label="Montant"
+            value={entry.amount}
+            onChange={(e) => setEntry(prev => ({ ...prev, amount: e.target.value }))}
+          />
+          <select
+            aria-label="Devise"
+            value={entry.currency}
+            onChange={(e) => setEntry(prev => ({ ...prev, currency: e.target.value }))}
+          >
+            {CURRENCIES.map(item => (
+              <option key={item.code} value={item.code}>{item.code}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            aria-label="Date du règlement"
+            value={entry.date}
+            onChange={(e) => setEntry(prev => ({ ...prev, date: e.target.value }))}
+          />
+          <input
+            type="text"
+            placeholder="Référence (reçu, transaction...)"
+            aria-label="Référence"
+            value={entry.reference}
+            onChange={(e) => setEntry(prev => ({ ...prev, reference: e.target.value }))}
+          />
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={handleAdd}
+            disabled={saving || !canAdd}
+          >
+            Enregistrer
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaymentLedger;
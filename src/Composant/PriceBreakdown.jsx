@@ -0,0 +1,26 @@
+import React from 'react';
+import { formatAmount } from '../utils/currency';
+
+// Détail du prix calculé par le moteur de tarification, dans la devise d'affichage
+const PriceBreakdown = ({ price, title = 'Prix estimatif' }) => {
+  return (
+    <div className="price-breakdown">
+      <h4>{title}: {formatAmount(price.total, price.currency)}</h4>
+      {price.lines.length > 0 && (
+        <table>
+          <tbody>
+            {price.lines.map((line, index) => (
+              <tr key={`${line.label}-${index}`} className={line.amount < 0 ? 'discount' : ''}>
+                <td>{line.label}</td>
+                <td className="price-detail">{line.detail}</td>
+                <td className="price-amount">{formatAmount(line.amount, price.currency)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default PriceBreakdown;
@@ -0,0 +1,306 @@
+import React, { useState } from 'react';
+import '../style/PricingSettings.css';
+import { loadSetting, saveSetting } from '../service/settings';
+import { VEHICLE_CATEGORIES } from '../service/vehicles';
+import { CURRENCIES } from '../utils/currency';
+import {
+  BILLING_MODES,
+  DEFAULT_PRICING_RULES,
+  OPTION_UNITS,
+  PRICED_OPTIONS,
+  resolvePricingRules
+} from '../utils/pricing';
+
+const EXTRA_CHARGE_FIELDS = [
+  { key: 'includedKmPerDay', label: 'Kilomètres inclus par jour' },
+  { key: 'excessKmRate', label: 'Prix du kilomètre supplémentaire' },
+  { key: 'fuelEighthRate', label: 'Carburant manquant, par 1/8 de réservoir' },
+  { key: 'lateGraceMinutes', label: 'Tolérance de retard (minutes)' }
+];
+
+// Règles de tarification des locations (tarifs, majorations, remises, options)
+const PricingSettings = ({ showToast, canEdit }) => {
+  const [rules, setRules] = useState(() => resolvePricingRules(loadSetting('pricingRules')));
+
+  const update = (field, value) => setRules(prev => ({ ...prev, [field]: value }));
+
+  const updateRate = (category, mode, value) => update('categoryRates', {
+    ...rules.categoryRates,
+    [category]: { ...rules.categoryRates[category], [mode]: value }
+  });
+
+  const updateOption = (option, field, value) => update('optionPrices', {
+    ...rules.optionPrices,
+    [option]: { ...rules.optionPrices[option], [field]: value }
+  });
+
+  const updateExtraCharge = (field, value) => update('extraCharges', { ...rules.extraCharges, [field]: value });
+
+  const updateRow = (field, index, key, value) => update(
+    field,
+    rules[field].map((row, i) => (i === index ? { ...row, [key]: value } : row))
+  );
+
+  const removeRow = (field, index) => update(field, rules[field].filter((_, i) => i !== index));
+
+  // Règles communes à tous les postes : relues après enregistrement
+  const handleSave = async () => {
+    try {
+      await saveSetting('pricingRules', rules);
+      setRules(resolvePricingRules(loadSetting('pricingRules')));
+      showToast('success', 'Règles de tarification enregistrées');
+    } catch (error) {
+      console.error('Erreur enregistrement des tarifs:', error);
+      showToast('error', error.message || 'Erreur réseau');
+    }
+  };
+
+  // Recharge les tarifs par défaut dans le formulaire, sans les enregistrer
+  const handleReset = () => {
+    setRules(DEFAULT_PRICING_RULES);
+    showToast('success', 'Tarifs par défaut chargés : enregistrer pour les appliquer');
+  };
+
+  return (
+    <section className="settings-section pricing-settings">
+      <h3>Tarification des locations</h3>
+
+      <fieldset disabled={!canEdit}>
+        <div className="form-group">
+          <label htmlFor="pricing-currency">Devise des tarifs</label>
+          <select
+            id="pricing-currency"
+            value={rules.currency}
+            onChange={(e) => update('currency', e.target.value)}
+          >
+            {CURRENCIES.map(currency => (
+              <option key={currency.code} value={currency.code}>{currency.code} — {currency.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="pricing-billing">Facturation</label>
+          <select
+            id="pricing-billing"
+            value={rules.billing}
+            onChange={(e) => update('billing', e.target.value)}
+          >
+            {BILLING_MODES.map(mode => (
+              <option key={mode.value} value={mode.value}>{mode.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <h4>Tarifs par catégorie ({rules.currency})</h4>
+        <table className="pricing-table">
+          <thead>
+            <tr>
+              <th>Catégorie</th>
+              <th>Par jour</th>
+              <th>Par heure</th>
+            </tr>
+          </thead>
+          <tbody>
+            {VEHICLE_CATEGORIES.map(category => (
+              <tr key={category}>
+                <td>{category}</td>
+                {['jour', 'heure'].map(mode => (
+                  <td key={mode}>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      aria-label={`${category} - ${mode}`}
+                      value={rules.categoryRates[category]?.[mode] ?? ''}
+                      onChange={(e) => updateRate(category, mode, e.target.value)}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="form-group">
+          <label htmlFor="pricing-weekend">Majoration week-end (%)</label>
+          <input
+            id="pricing-weekend"
+            type="number"
+            step="any"
+            value={rules.weekendSurcharge}
+            onChange={(e) => update('weekendSurcharge', e.target.value)}
+          />
+        </div>
+
+        <h4>Saisons (majoration ou minoration en %)</h4>
+        <table className="pricing-table">
+          <tbody>
+            {rules.seasons.map((season, index) => (
+              <tr key={index}>
+                <td>
+                  <input
+                    type="text"
+                    value={season.label}
+                    placeholder="ex: Haute saison"
+                    onChange={(e) => updateRow('seasons', index, 'label', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="text"
+                    value={season.from}
+                    placeholder="du JJ/MM"
+                    pattern="\d{2}/\d{2}"
+                    onChange={(e) => updateRow('seasons', index, 'from', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="text"
+                    value={season.to}
+                    placeholder="au JJ/MM"
+                    pattern="\d{2}/\d{2}"
+                    onChange={(e) => updateRow('seasons', index, 'to', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    step="any"
+                    value={season.adjustment}
+                    aria-label="Ajustement (%)"
+                    onChange={(e) => updateRow('seasons', index, 'adjustment', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <button type="button" className="btn-icon delete" onClick={() => removeRow('seasons', index)} title="Supprimer">
+                    🗑️
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={() => update('seasons', [...rules.seasons, { label: '', from: '', to: '', adjustment: 0 }])}
+        >
+          Ajouter une saison
+        </button>
+
+        <h4>Remises longue durée</h4>
+        <table className="pricing-table">
+          <tbody>
+            {rules.longRentalDiscounts.map((tier, index) => (
+              <tr key={index}>
+                <td>
+                  <input
+                    type="number"
+                    min="1"
+                    value={tier.minDays}
+                    aria-label="À partir de (jours)"
+                    onChange={(e) => updateRow('longRentalDiscounts', index, 'minDays', e.target.value)}
+                  />
+                  <span> jours et plus</span>
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="any"
+                    value={tier.percent}
+                    aria-label="Remise (%)"
+                    onChange={(e) => updateRow('longRentalDiscounts', index, 'percent', e.target.value)}
+                  />
+                  <span> % de remise</span>
+                </td>
+                <td>
+                  <button
+                    type="button"
+                    className="btn-icon delete"
+                    onClick={() => removeRow('longRentalDiscounts', index)}
+                    title="Supprimer"
+                  >
+                    🗑️
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={() => update('longRentalDiscounts', [...rules.longRentalDiscounts, { minDays: 7, percent: 0 }])}
+        >
+          Ajouter un palier
+        </button>
+
+        <h4>Options ({rules.currency})</h4>
+        <table className="pricing-table">
+          <tbody>
+            {PRICED_OPTIONS.map(option => (
+              <tr key={option}>
+                <td>{option}</td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    aria-label={`${option} - montant`}
+                    value={rules.optionPrices[option]?.amount ?? ''}
+                    onChange={(e) => updateOption(option, 'amount', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <select
+                    aria-label={`${option} - unité`}
+                    value={rules.optionPrices[option]?.unit || 'jour'}
+                    onChange={(e) => updateOption(option, 'unit', e.target.value)}
+                  >
+                    {OPTION_UNITS.map(unit => (
+                      <option key={unit.value} value={unit.value}>{unit.label}</option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h4>Frais de restitution ({rules.currency})</h4>
+        <div className="form-grid">
+          {EXTRA_CHARGE_FIELDS.map(field => (
+            <div key={field.key} className="form-group">
+              <label htmlFor={`pricing-${field.key}`}>{field.label}</label>
+              <input
+                id={`pricing-${field.key}`}
+                type="number"
+                min="0"
+                step="any"
+                value={rules.extraCharges[field.key]}
+                onChange={(e) => updateExtraCharge(field.key, e.target.value)}
+              />
+            </div>
+          ))}
+        </div>
+      </fieldset>
+
+      {canEdit && (
+        <div className="modal-actions">
+          <button className="btn btn-secondary" onClick={handleReset}>
+            Rétablir les tarifs par défaut
+          </button>
+          <button className="btn btn-primary" onClick={handleSave}>
+            Enregistrer la tarification
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default PricingSettings;
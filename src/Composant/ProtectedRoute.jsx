@@ -0,0 +1,18 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { hasSession, isSessionValid, clearSession } from '../service/session';
+
+// Redirige vers la page de connexion si aucune session valide n'est enregistrée
+const ProtectedRoute = ({ children }) => {
+  const location = useLocation();
+
+  if (!isSessionValid()) {
+    const sessionExpired = hasSession();
+    clearSession();
+    return <Navigate to="/login" replace state={{ from: location, sessionExpired }} />;
+  }
+
+  return children;
+};
+
+export default ProtectedRoute;
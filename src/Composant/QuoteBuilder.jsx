@@ -0,0 +1,315 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import '../style/QuoteBuilder.css';
+import Logo from '../assets/gt.webp';
+import {
+  QUOTE_CATEGORIES,
+  QUOTE_VALIDITY_DAYS,
+  computeCategorySubtotals,
+  computeLineTotals,
+  computeQuoteTotals,
+  createQuoteLine,
+  getCategoryLabel,
+  getQuoteCurrency,
+  getQuoteNumber
+} from '../utils/quote';
+import {
+  CURRENCIES,
+  convertAmount,
+  formatAmount,
+  formatMoney,
+  getBaseCurrency,
+  getCurrency,
+  getCurrencySettings
+} from '../utils/currency';
+
+const DRAFT = 'brouillon';
+
+// Document imprimable (aperçu à l'écran et impression / PDF), dans la devise du chiffrage
+const QuoteDocument = ({ devis, lines, version, date, note, currency }) => {
+  const totals = computeQuoteTotals(lines);
+  const money = (value) => formatMoney(value, currency);
+  const issuedAt = date ? new Date(date) : new Date();
+  const validUntil = new Date(issuedAt.getTime() + QUOTE_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+
+  return (
+    <div className="quote-document">
+      <header className="quote-document-header">
+        <img src={Logo} alt="G-TRAF+" className="quote-logo" />
+        <div className="quote-document-title">
+          <h2>Devis</h2>
+          <p>N° {version ? getQuoteNumber(devis.id, version) : 'Brouillon'}</p>
+          <p>Date : {issuedAt.toLocaleDateString('fr-FR')}</p>
+          <p>Valable jusqu'au {validUntil.toLocaleDateString('fr-FR')}</p>
+        </div>
+      </header>
+
+      <section className="quote-client">
+        <h4>Client</h4>
+        <p><strong>{devis.name}</strong></p>
+        <p>{devis.email}</p>
+        {devis.phone && <p>{devis.phone}</p>}
+        <p>Projet : {devis.projectType}</p>
+      </section>
+
+      <table className="quote-lines">
+        <thead>
+          <tr>
+            <th>Désignation</th>
+            <th>Catégorie</th>
+            <th>Qté</th>
+            <th>P.U. HT</th>
+            <th>Remise</th>
+            <th>TVA</th>
+            <th>Total HT</th>
+          </tr>
+        </thead>
+        <tbody>
+          {lines.map((line, index) => (
+            <tr key={index}>
+              <td>{line.designation || '—'}</td>
+              <td>{getCategoryLabel(line.categorie)}</td>
+              <td>{line.quantite}</td>
+              <td>{money(line.prix_unitaire)}</td>
+              <td>{Number(line.remise) ? `${line.remise} %` : '—'}</td>
+              <td>{line.tva} %</td>
+              <td>{money(computeLineTotals(line).ht)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="quote-totals">
+        {computeCategorySubtotals(lines).map(category => (
+          <div key={category.value} className="quote-total-row">
+            <span>Sous-total {category.label}</span>
+            <span>{money(category.ht)}</span>
+          </div>
+        ))}
+        {totals.remise > 0 && (
+          <div className="quote-total-row">
+            <span>Remises</span>
+            <span>- {money(totals.remise)}</span>
+          </div>
+        )}
+        <div className="quote-total-row">
+          <span>Total HT</span>
+          <span>{money(totals.ht)}</span>
+        </div>
+        <div className="quote-total-row">
+          <span>TVA</span>
+          <span>{money(totals.tva)}</span>
+        </div>
+        <div className="quote-total-row grand-total">
+          <span>Total TTC</span>
+          <span>{money(totals.ttc)}</span>
+        </div>
+      </div>
+
+      {note && <p className="quote-note">{note}</p>}
+
+      <footer className="quote-document-footer">
+        <span>Bon pour accord — date et signature du client :</span>
+      </footer>
+    </div>
+  );
+};
+
+// Éditeur de chiffrage versionné d'une demande de devis
+const QuoteBuilder = ({ devis, canEdit, onSave, onClose }) => {
+  const versions = devis.quotes || [];
+  const latest = versions[versions.length - 1];
+
+  const [selected, setSelected] = useState(latest ? latest.version : DRAFT);
+  const [lines, setLines] = useState(() => (latest ? latest.lignes : [createQuoteLine()]));
+  const [note, setNote] = useState('');
+  const [currency, setCurrency] = useState(() => (latest ? getQuoteCurrency(latest) : getBaseCurrency()));
+  const [saving, setSaving] = useState(false);
+
+  const isDraft = selected === DRAFT;
+  const current = isDraft ? null : versions.find(item => item.version === selected);
+
+  const updateLine = (index, field, value) => {
+    setLines(lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  // Nouvelle version à partir de la version affichée
+  const startNewVersion = () => {
+    setLines(current ? current.lignes : lines);
+    setCurrency(current ? getQuoteCurrency(current) : currency);
+    setNote('');
+    setSelected(DRAFT);
+  };
+
+  // Changement de devise du brouillon : les prix unitaires sont convertis au taux enregistré
+  const changeCurrency = (next) => {
+    const { rates } = getCurrencySettings();
+    const factor = 10 ** getCurrency(next).decimals;
+    setLines(lines.map(line => ({
+      ...line,
+      prix_unitaire: Math.round(convertAmount(line.prix_unitaire, currency, next, rates) * factor) / factor
+    })));
+    setCurrency(next);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const saved = await onSave(lines, note, currency);
+    setSaving(false);
+    if (saved) setSelected(versions.length + 1);
+  };
+
+  const canSave = lines.length > 0 && lines.every(line => line.designation.trim());
+  const documentProps = isDraft
+    ? { devis, lines, note, currency }
+    : {
+      devis,
+      lines: current.lignes,
+      version: current.version,
+      date: current.date,
+      note: current.remarque,
+      currency: getQuoteCurrency(current)
+    };
+
+  return (
+    <div className="quote-builder">
+      <div className="quote-versions">
+        <select value={selected} onChange={(e) => setSelected(e.target.value === DRAFT ? DRAFT : Number(e.target.value))}>
+          {[...versions].reverse().map(item => (
+            <option key={item.version} value={item.version}>
+              Version {item.version} — {new Date(item.date).toLocaleDateString('fr-FR')} — {formatAmount(item.totaux?.ttc, getQuoteCurrency(item))} TTC
+            </option>
+          ))}
+          {(isDraft || canEdit) && <option value={DRAFT}>Nouvelle version (brouillon)</option>}
+        </select>
+        {canEdit && !isDraft && (
+          <button type="button" className="btn btn-secondary" onClick={startNewVersion}>
+            Créer une version à partir de celle-ci
+          </button>
+        )}
+      </div>
+
+      {isDraft && canEdit && (
+        <div className="quote-editor">
+          <div className="form-group">
+            <label htmlFor="quote-currency">Devise du chiffrage</label>
+            <select id="quote-currency" value={currency} onChange={(e) => changeCurrency(e.target.value)}>
+              {CURRENCIES.map(item => (
+                <option key={item.code} value={item.code}>{item.code} — {item.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <table className="quote-editor-lines">
+            <thead>
+              <tr>
+                <th>Catégorie</th>
+                <th>Désignation</th>
+                <th>Qté</th>
+                <th>P.U. HT ({currency})</th>
+                <th>Remise (%)</th>
+                <th>TVA (%)</th>
+                <th>Total TTC</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {lines.map((line, index) => (
+                <tr key={index}>
+                  <td>
+                    <select value={line.categorie} onChange={(e) => updateLine(index, 'categorie', e.target.value)}>
+                      {QUOTE_CATEGORIES.map(category => (
+                        <option key={category.value} value={category.value}>{category.label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      value={line.designation}
+                      placeholder="ex: Coulage dalle béton"
+                      onChange={(e) => updateLine(index, 'designation', e.target.value)}
+                    />
+                  </td>
+                  <td>
+                    <input type="number" min="0" step="any" value={line.quantite}
+                      onChange={(e) => updateLine(index, 'quantite', e.target.value)} />
+                  </td>
+                  <td>
+                    <input type="number" min="0" step="any" value={line.prix_unitaire}
+                      onChange={(e) => updateLine(index, 'prix_unitaire', e.target.value)} />
+                  </td>
+                  <td>
+                    <input type="number" min="0" max="100" step="any" value={line.remise}
+                      onChange={(e) => updateLine(index, 'remise', e.target.value)} />
+                  </td>
+                  <td>
+                    <input type="number" min="0" step="any" value={line.tva}
+                      onChange={(e) => updateLine(index, 'tva', e.target.value)} />
+                  </td>
+                  <td>{formatMoney(computeLineTotals(line).ttc, currency)}</td>
+                  <td>
+                    <button
+                      type="button"
+                      className="btn-icon delete"
+                      onClick={() => setLines(lines.filter((_, i) => i !== index))}
+                      title="Supprimer la ligne"
+                    >
+                      🗑️
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="quote-editor-actions">
+            {QUOTE_CATEGORIES.map(category => (
+              <button
+                key={category.value}
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => setLines([...lines, createQuoteLine(category.value)])}
+              >
+                + {category.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="quote-note">Remarques (conditions, délais...)</label>
+            <textarea id="quote-note" rows="2" value={note} onChange={(e) => setNote(e.target.value)} />
+          </div>
+        </div>
+      )}
+
+      <div className="quote-preview">
+        <QuoteDocument {...documentProps} />
+      </div>
+
+      {/* Copie du document hors de la modale, seule visible à l'impression */}
+      {createPortal(
+        <div className="quote-print">
+          <QuoteDocument {...documentProps} />
+        </div>,
+        document.body
+      )}
+
+      <div className="modal-actions">
+        <button type="button" className="btn btn-secondary" onClick={onClose}>
+          Fermer
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={() => window.print()}>
+          <i className="fa fa-print"></i> Imprimer / PDF
+        </button>
+        {isDraft && canEdit && (
+          <button type="button" className="btn btn-primary" onClick={handleSave} disabled={!canSave || saving}>
+            Enregistrer la version {versions.length + 1}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuoteBuilder;
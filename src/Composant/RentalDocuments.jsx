@@ -0,0 +1,190 @@
+import React from 'react';
+import { createPortal } from 'react-dom';
+import '../style/QuoteBuilder.css';
+import '../style/RentalDocuments.css';
+import Logo from '../assets/gt.webp';
+import { getReservationOptions } from '../service/reservations';
+import { formatVehicleLabel } from '../service/vehicles';
+import { formatMoney } from '../utils/currency';
+import { convertPrice, getContractNumber } from '../utils/invoice';
+import { computePaidAmount } from '../utils/payments';
+
+const CONTRACT_CLAUSES = [
+  'Le véhicule est remis en bon état de marche, avec le niveau de carburant indiqué au départ, et doit être restitué dans le même état.',
+  'Le locataire est responsable des infractions commises pendant la durée de la location.',
+  'Tout retard de restitution non signalé peut être facturé selon le tarif en vigueur.',
+  'Les dommages non couverts par les assurances souscrites restent à la charge du locataire.',
+  'Le véhicule ne peut être conduit que par le locataire ou le chauffeur désigné par G-TRAF+.'
+];
+
+const formatDateFr = (date) => (date ? new Date(date).toLocaleDateString('fr-FR') : '');
+
+// Parties, véhicule et période, communs au contrat et à la facture
+const RentalSummary = ({ reservation, vehicle }) => (
+  <div className="contract-parties">
+    <section className="quote-client">
+      <h4>Locataire</h4>
+      <p><strong>{reservation.name}</strong></p>
+      <p>{reservation.email}</p>
+      {reservation.phone && <p>{reservation.phone}</p>}
+      {reservation.address && <p>{reservation.address}</p>}
+      <p>Pièce d'identité : {reservation.idNumber || 'non renseignée'}</p>
+    </section>
+    <section className="quote-client">
+      <h4>Véhicule et période</h4>
+      <p>
+        <strong>{reservation.vehicleType}</strong>
+        {reservation.model && ` — ${reservation.model}`}
+      </p>
+      {vehicle && <p>{formatVehicleLabel(vehicle)}</p>}
+      <p>Départ : {formatDateFr(reservation.startDate)} à {reservation.startTime} — {reservation.pickupLocation}</p>
+      <p>Retour : {formatDateFr(reservation.endDate)} à {reservation.endTime} — {reservation.dropoffLocation}</p>
+      <p>Options : {getReservationOptions(reservation).join(', ') || 'aucune'}</p>
+    </section>
+  </div>
+);
+
+// Détail du prix, montant déjà réglé et solde restant dû
+const RentalAmounts = ({ lines, total, paid, currency }) => {
+  const money = (value) => formatMoney(value, currency);
+
+  return (
+    <>
+      <table className="quote-lines">
+        <thead>
+          <tr>
+            <th>Désignation</th>
+            <th>Détail</th>
+            <th>Montant</th>
+          </tr>
+        </thead>
+        <tbody>
+          {lines.map((line, index) => (
+            <tr key={`${line.label}-${index}`}>
+              <td>{line.label}</td>
+              <td>{line.detail}</td>
+              <td>{money(line.amount)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="quote-totals">
+        <div className="quote-total-row grand-total">
+          <span>Total</span>
+          <span>{money(total)}</span>
+        </div>
+        <div className="quote-total-row">
+          <span>Déjà réglé</span>
+          <span>- {money(paid)}</span>
+        </div>
+        <div className="quote-total-row grand-total">
+          <span>Solde dû</span>
+          <span>{money(total - paid)}</span>
+        </div>
+      </div>
+    </>
+  );
+};
+
+const ContractDocument = ({ reservation, vehicle, price }) => {
+  const invoice = reservation.invoice;
+  const currency = invoice?.devise || reservation.currency;
+  const amounts = invoice ? { lines: invoice.lignes, total: invoice.total } : convertPrice(price, currency);
+
+  return (
+    <div className="quote-document">
+      <header className="quote-document-header">
+        <img src={Logo} alt="G-TRAF+" className="quote-logo" />
+        <div className="quote-document-title">
+          <h2>Contrat de location</h2>
+          <p>N° {getContractNumber(reservation.id)}</p>
+          <p>Date : {new Date().toLocaleDateString('fr-FR')}</p>
+        </div>
+      </header>
+
+      <RentalSummary reservation={reservation} vehicle={vehicle} />
+      <RentalAmounts
+        lines={amounts.lines}
+        total={amounts.total}
+        paid={invoice ? invoice.acompte : computePaidAmount(reservation.payments, currency)}
+        currency={currency}
+      />
+
+      <section className="contract-clauses">
+        <h4>Conditions générales</h4>
+        <ol>
+          {CONTRACT_CLAUSES.map(clause => <li key={clause}>{clause}</li>)}
+        </ol>
+      </section>
+
+      <footer className="contract-signatures">
+        <div>
+          <span>Pour G-TRAF+</span>
+        </div>
+        <div>
+          <span>Le locataire (« lu et approuvé »)</span>
+        </div>
+      </footer>
+    </div>
+  );
+};
+
+const InvoiceDocument = ({ reservation, vehicle }) => {
+  const { invoice } = reservation;
+
+  return (
+    <div className="quote-document">
+      <header className="quote-document-header">
+        <img src={Logo} alt="G-TRAF+" className="quote-logo" />
+        <div className="quote-document-title">
+          <h2>Facture</h2>
+          <p>N° {invoice.numero}</p>
+          <p>Date : {formatDateFr(invoice.date)}</p>
+          <p>Contrat {getContractNumber(reservation.id)}</p>
+        </div>
+      </header>
+
+      <RentalSummary reservation={reservation} vehicle={vehicle} />
+      <RentalAmounts
+        lines={invoice.lignes}
+        total={invoice.total}
+        paid={invoice.acompte}
+        currency={invoice.devise}
+      />
+
+      <footer className="quote-document-footer">
+        <span>Mode de paiement : {reservation.paymentMethod || 'non spécifié'}</span>
+      </footer>
+    </div>
+  );
+};
+
+// Contrat ou facture imprimable d'une réservation
+const RentalDocuments = ({ type, reservation, vehicle, price, onClose }) => {
+  const content = type === 'invoice'
+    ? <InvoiceDocument reservation={reservation} vehicle={vehicle} />
+    : <ContractDocument reservation={reservation} vehicle={vehicle} price={price} />;
+
+  return (
+    <div className="rental-documents">
+      <div className="quote-preview">
+        {content}
+      </div>
+
+      {/* Copie du document hors de la modale, seule visible à l'impression */}
+      {createPortal(<div className="quote-print">{content}</div>, document.body)}
+
+      <div className="modal-actions">
+        <button type="button" className="btn btn-secondary" onClick={onClose}>
+          Fermer
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={() => window.print()}>
+          <i className="fa fa-print"></i> Imprimer / PDF
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RentalDocuments;
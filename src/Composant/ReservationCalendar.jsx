@@ -0,0 +1,381 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import '../style/ReservationCalendar.css';
+import api from '../service/api';
+import { RESERVATION_API_URL, mapReservationFromApi } from '../service/reservations';
+import { VEHICLE_CATEGORIES } from '../service/vehicles';
+import { RELEASED_STATUSES, getReservationWindow } from '../utils/availability';
+
+// Couleur de chaque type de véhicule sur le calendrier
+const VEHICLE_TYPE_COLORS = {
+  Citadine: '#0ea5e9',
+  Berline: '#6366f1',
+  'SUV/4x4': '#16a34a',
+  Utilitaire: '#d97706',
+  Minibus: '#dc2626'
+};
+
+const MODES = [
+  { id: 'mois', label: 'Mois' },
+  { id: 'semaine', label: 'Semaine' },
+  { id: 'chronologie', label: 'Chronologie' }
+];
+
+const DAY_NAMES = ['Lun', 'Mar', 'Mer', 'Jeu', 'Ven', 'Sam', 'Dim'];
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Pas d'un redimensionnement (glisser un bord de réservation)
+const SNAP = { semaine: HOUR / 2, chronologie: HOUR };
+
+// Nombre maximal de réservations chargées sur la période affichée
+const CALENDAR_LIMIT = 500;
+const MAX_CHIPS_PER_DAY = 3;
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const startOfWeek = (date) => {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return monday;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+const toDateString = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const toTimeString = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// Période affichée [start, end[ selon le mode
+const getRange = (mode, cursor) => {
+  if (mode === 'semaine') {
+    const start = startOfWeek(cursor);
+    return { start, end: addDays(start, 7) };
+  }
+
+  const firstOfMonth = new Date(cursor.getFullYear(), cursor.getMonth(), 1);
+  const firstOfNextMonth = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1);
+  if (mode === 'chronologie') return { start: firstOfMonth, end: firstOfNextMonth };
+
+  // Grille du mois complétée jusqu'aux lundi et dimanche encadrants
+  return { start: startOfWeek(firstOfMonth), end: addDays(startOfWeek(addDays(firstOfNextMonth, -1)), 7) };
+};
+
+const getDays = (range) => {
+  const days = [];
+  for (let day = range.start; day < range.end; day = addDays(day, 1)) days.push(day);
+  return days;
+};
+
+// Répartit les réservations d'un type sur des lignes sans chevauchement
+const packLanes = (reservations) => {
+  const lanes = [];
+  reservations.forEach(reservation => {
+    const lane = lanes.find(items => items[items.length - 1].period.end <= reservation.period.start);
+    if (lane) lane.push(reservation);
+    else lanes.push([reservation]);
+  });
+  return lanes;
+};
+
+// Période d'une réservation pendant le glissement d'un de ses bords
+const getDraggedPeriod = (reservation, drag) => {
+  const start = new Date(reservation.period.start.getTime() + (drag.edge === 'start' ? drag.deltaMs : 0));
+  const end = new Date(reservation.period.end.getTime() + (drag.edge === 'end' ? drag.deltaMs : 0));
+
+  // Une réservation garde au moins une demi-heure
+  if (end - start < HOUR / 2) {
+    return drag.edge === 'start'
+      ? { start: new Date(end.getTime() - HOUR / 2), end }
+      : { start, end: new Date(start.getTime() + HOUR / 2) };
+  }
+  return { start, end };
+};
+
+// Calendrier des réservations : mois, semaine et chronologie par type de véhicule
+const ReservationCalendar = ({ showToast, searchTerm, filterParams, onView, onReschedule, canEdit, refreshKey }) => {
+  const [mode, setMode] = useState('mois');
+  const [cursor, setCursor] = useState(() => new Date());
+  const [reservations, setReservations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [drag, setDrag] = useState(null);
+  // Le relâchement d'un glissement ne doit pas ouvrir la réservation
+  const suppressClickRef = useRef(false);
+
+  const range = getRange(mode, cursor);
+  const rangeStart = range.start.getTime();
+  const rangeEnd = range.end.getTime();
+
+  const fetchCalendar = useCallback(async () => {
+    setLoading(true);
+    try {
+      const list = await api.list(RESERVATION_API_URL, {
+        sortBy: 'date_heure_depart',
+        order: 'ASC',
+        search: searchTerm.trim() || undefined,
+        ...filterParams,
+        retour_min: toDateString(new Date(rangeStart)),
+        depart_max: toDateString(new Date(rangeEnd - DAY)),
+        limit: CALENDAR_LIMIT
+      });
+      setReservations(list
+        .map(mapReservationFromApi)
+        .map(reservation => ({ ...reservation, period: getReservationWindow(reservation) }))
+        .filter(({ period }) => period.start.getTime() < rangeEnd && period.end.getTime() > rangeStart));
+    } catch (error) {
+      console.error('Erreur chargement du calendrier:', error);
+      showToast('error', 'Impossible de charger le calendrier des réservations');
+    } finally {
+      setLoading(false);
+    }
+  }, [searchTerm, filterParams, rangeStart, rangeEnd, showToast]);
+
+  // `refreshKey` change quand une réservation est modifiée depuis les modales de l'onglet
+  useEffect(() => {
+    fetchCalendar();
+  }, [fetchCalendar, refreshKey]);
+
+  // Suivi de la souris pendant le redimensionnement d'une réservation
+  useEffect(() => {
+    if (!drag) return;
+
+    const handleMove = (event) => {
+      const raw = ((event.clientX - drag.originX) / drag.trackWidth) * (rangeEnd - rangeStart);
+      const snap = SNAP[mode];
+      setDrag(prev => ({ ...prev, deltaMs: Math.round(raw / snap) * snap }));
+    };
+
+    const handleUp = async () => {
+      const current = drag;
+      setDrag(null);
+      if (!current.deltaMs) return;
+
+      suppressClickRef.current = true;
+      setTimeout(() => {
+        suppressClickRef.current = false;
+      }, 0);
+
+      // Après enregistrement, l'onglet recharge le calendrier via `refreshKey`
+      const { start, end } = getDraggedPeriod(current.reservation, current);
+      await onReschedule(current.reservation, {
+        startDate: toDateString(start),
+        startTime: toTimeString(start),
+        endDate: toDateString(end),
+        endTime: toTimeString(end)
+      });
+    };
+
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+  }, [drag, mode, rangeStart, rangeEnd, onReschedule]);
+
+  const moveCursor = (direction) => {
+    if (direction === 0) {
+      setCursor(new Date());
+    } else if (mode === 'semaine') {
+      setCursor(addDays(cursor, 7 * direction));
+    } else {
+      setCursor(new Date(cursor.getFullYear(), cursor.getMonth() + direction, 1));
+    }
+  };
+
+  const title = mode === 'semaine'
+    ? `Semaine du ${range.start.toLocaleDateString('fr-FR')}`
+    : cursor.toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' });
+
+  const isEditable = (reservation) => canEdit && !RELEASED_STATUSES.includes(reservation.status);
+
+  const startDrag = (event, reservation, edge) => {
+    event.preventDefault();
+    event.stopPropagation();
+    setDrag({
+      reservation,
+      edge,
+      originX: event.clientX,
+      trackWidth: event.currentTarget.closest('.calendar-track').getBoundingClientRect().width,
+      deltaMs: 0
+    });
+  };
+
+  const renderBar = (reservation) => {
+    const { start, end } = drag?.reservation.id === reservation.id
+      ? getDraggedPeriod(reservation, drag)
+      : reservation.period;
+    const span = rangeEnd - rangeStart;
+    const left = Math.max(0, (start.getTime() - rangeStart) / span);
+    const right = Math.min(1, (end.getTime() - rangeStart) / span);
+    const editable = isEditable(reservation);
+
+    return (
+      <div
+        key={reservation.id}
+        className={`calendar-bar ${RELEASED_STATUSES.includes(reservation.status) ? 'released' : ''}`}
+        style={{
+          left: `${left * 100}%`,
+          width: `${(right - left) * 100}%`,
+          background: VEHICLE_TYPE_COLORS[reservation.vehicleType] || 'var(--gray-500)'
+        }}
+        title={`${reservation.name} — ${reservation.vehicleType}\n${reservation.startDate} ${reservation.startTime} → ${reservation.endDate} ${reservation.endTime}`}
+        onClick={() => {
+          if (!suppressClickRef.current) onView(reservation);
+        }}
+      >
+        {editable && start.getTime() >= rangeStart && (
+          <span
+            className="calendar-handle start"
+            onMouseDown={(e) => startDrag(e, reservation, 'start')}
+            onClick={(e) => e.stopPropagation()}
+          />
+        )}
+        <span className="calendar-bar-label">{reservation.name}</span>
+        {editable && end.getTime() <= rangeEnd && (
+          <span
+            className="calendar-handle end"
+            onMouseDown={(e) => startDrag(e, reservation, 'end')}
+            onClick={(e) => e.stopPropagation()}
+          />
+        )}
+      </div>
+    );
+  };
+
+  const days = getDays(range);
+  const trackStyle = { backgroundSize: `${100 / days.length}% 100%` };
+
+  const renderTimelineHeader = (labelTitle) => (
+    <div className="calendar-row calendar-row-header">
+      <div className="calendar-row-label">{labelTitle}</div>
+      <div className="calendar-days-header" style={{ gridTemplateColumns: `repeat(${days.length}, 1fr)` }}>
+        {days.map(day => (
+          <span key={day.getTime()}>
+            {mode === 'semaine' ? `${DAY_NAMES[(day.getDay() + 6) % 7]} ${day.getDate()}` : day.getDate()}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+
+  const renderMonth = () => (
+    <div className="calendar-month">
+      {DAY_NAMES.map(name => <div key={name} className="calendar-month-dayname">{name}</div>)}
+      {days.map(day => {
+        const dayEnd = addDays(day, 1);
+        const dayReservations = reservations.filter(({ period }) => period.start < dayEnd && period.end > day);
+        const isOtherMonth = day.getMonth() !== cursor.getMonth();
+        const isToday = toDateString(day) === toDateString(new Date());
+
+        return (
+          <div
+            key={day.getTime()}
+            className={`calendar-month-day ${isOtherMonth ? 'other-month' : ''} ${isToday ? 'today' : ''}`}
+          >
+            <span className="calendar-month-date">{day.getDate()}</span>
+            {dayReservations.slice(0, MAX_CHIPS_PER_DAY).map(reservation => (
+              <button
+                key={reservation.id}
+                type="button"
+                className={`calendar-chip ${RELEASED_STATUSES.includes(reservation.status) ? 'released' : ''}`}
+                style={{ background: VEHICLE_TYPE_COLORS[reservation.vehicleType] || 'var(--gray-500)' }}
+                onClick={() => onView(reservation)}
+                title={`${reservation.name} — ${reservation.vehicleType}`}
+              >
+                {reservation.startDate === toDateString(day) ? `${reservation.startTime} ` : ''}{reservation.name}
+              </button>
+            ))}
+            {dayReservations.length > MAX_CHIPS_PER_DAY && (
+              <button
+                type="button"
+                className="calendar-more"
+                onClick={() => {
+                  setCursor(day);
+                  setMode('semaine');
+                }}
+              >
+                +{dayReservations.length - MAX_CHIPS_PER_DAY} autres
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  const renderWeek = () => (
+    <div className="calendar-timeline">
+      {renderTimelineHeader('Client')}
+      {reservations.map(reservation => (
+        <div key={reservation.id} className="calendar-row">
+          <div className="calendar-row-label">{reservation.name}</div>
+          <div className="calendar-track" style={trackStyle}>{renderBar(reservation)}</div>
+        </div>
+      ))}
+      {reservations.length === 0 && <p className="empty-message">Aucune réservation cette semaine</p>}
+    </div>
+  );
+
+  const renderGantt = () => {
+    const types = [...new Set([...VEHICLE_CATEGORIES, ...reservations.map(item => item.vehicleType)])];
+
+    return (
+      <div className="calendar-timeline">
+        {renderTimelineHeader('Type de véhicule')}
+        {types.map(type => {
+          const lanes = packLanes(reservations.filter(item => item.vehicleType === type));
+          return (lanes.length > 0 ? lanes : [[]]).map((lane, index) => (
+            <div key={`${type}-${index}`} className="calendar-row">
+              <div className="calendar-row-label">{index === 0 ? type : ''}</div>
+              <div className="calendar-track" style={trackStyle}>{lane.map(renderBar)}</div>
+            </div>
+          ));
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <div className="reservation-calendar">
+      <div className="calendar-toolbar">
+        <div className="calendar-nav">
+          <button type="button" className="btn btn-secondary" onClick={() => moveCursor(-1)}>‹</button>
+          <button type="button" className="btn btn-secondary" onClick={() => moveCursor(0)}>Aujourd'hui</button>
+          <button type="button" className="btn btn-secondary" onClick={() => moveCursor(1)}>›</button>
+          <h3>{title}</h3>
+          {loading && <span className="calendar-loading">Chargement...</span>}
+        </div>
+        <div className="view-toggle">
+          {MODES.map(item => (
+            <button
+              key={item.id}
+              type="button"
+              className={mode === item.id ? 'active' : ''}
+              onClick={() => setMode(item.id)}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="calendar-legend">
+        {Object.entries(VEHICLE_TYPE_COLORS).map(([type, color]) => (
+          <span key={type}><i style={{ background: color }}></i>{type}</span>
+        ))}
+      </div>
+
+      {mode === 'mois' && renderMonth()}
+      {mode === 'semaine' && renderWeek()}
+      {mode === 'chronologie' && renderGantt()}
+
+      {canEdit && mode !== 'mois' && (
+        <p className="calendar-hint">Glisser le début ou la fin d'une réservation pour la replanifier.</p>
+      )}
+    </div>
+  );
+};
+
+export default ReservationCalendar;
@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import '../style/VehicleInspection.css';
+import PriceBreakdown from './PriceBreakdown';
+import { uploadFile } from '../service/files';
+import { getCurrentUser } from '../service/session';
+import { computePrice } from '../utils/pricing';
+import {
+  FUEL_LEVELS,
+  INSPECTION_STAGES,
+  MAX_INSPECTION_PHOTOS,
+  compareInspections,
+  createInspection,
+  getFuelLabel,
+  resizePhoto
+} from '../utils/inspection';
+
+// Date et heure locales au format des champs datetime-local
+const nowForInput = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const InspectionCard = ({ title, inspection }) => (
+  <div className="inspection-card">
+    <h5>{title}</h5>
+    <p>{new Date(inspection.date).toLocaleString('fr-FR')}{inspection.par && ` — ${inspection.par}`}</p>
+    <p>Kilométrage : <strong>{inspection.kilometrage} km</strong></p>
+    <p>Carburant : <strong>{getFuelLabel(inspection.carburant)}</strong></p>
+    <p>Dommages : {inspection.dommages || 'aucun signalé'}</p>
+    {inspection.photos?.length > 0 && (
+      <div className="inspection-photos">
+        {inspection.photos.map((photo, index) => (
+          <a key={index} href={photo} target="_blank" rel="noreferrer">
+            <img src={photo} alt={`${title} — photo ${index + 1}`} />
+          </a>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+// Comparaison départ / retour affichée dans le détail de la réservation
+export const InspectionReport = ({ checkOut, checkIn }) => {
+  const comparison = checkOut && checkIn ? compareInspections(checkOut, checkIn) : null;
+
+  return (
+    <div className="inspection-report">
+      <div className="inspection-cards">
+        {checkOut && <InspectionCard title="Départ" inspection={checkOut} />}
+        {checkIn && <InspectionCard title="Retour" inspection={checkIn} />}
+      </div>
+      {comparison && (
+        <p className="inspection-comparison">
+          {comparison.distance} km parcourus — carburant {comparison.fuelDifference < 0
+            ? `en baisse de ${-comparison.fuelDifference}/8`
+            : 'au moins au niveau du départ'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Saisie de l'état des lieux de départ ou de retour
+const VehicleInspection = ({ reservation, stage, defaultMileage, pricingRules, onSave, onClose }) => {
+  const isReturn = stage === 'retour';
+  const checkOut = reservation.checkOut;
+
+  const [draft, setDraft] = useState(() => ({
+    date: nowForInput(),
+    mileage: isReturn ? '' : defaultMileage ?? '',
+    fuel: isReturn ? '' : 8,
+    damages: '',
+    photos: []
+  }));
+  const [saving, setSaving] = useState(false);
+  const [photoError, setPhotoError] = useState('');
+  const [uploading, setUploading] = useState(false);
+
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const handlePhotos = async (e) => {
+    const files = Array.from(e.target.files).slice(0, MAX_INSPECTION_PHOTOS - draft.photos.length);
+    e.target.value = '';
+    setUploading(true);
+    try {
+      // Photos réduites puis envoyées une à une : seules leurs URL sont enregistrées
+      const photos = await Promise.all(files.map(async file => (
+        uploadFile(await resizePhoto(file), `${file.name.replace(/\.[^.]+$/, '')}.jpg`)
+      )));
+      setDraft(prev => ({ ...prev, photos: [...prev.photos, ...photos] }));
+      setPhotoError('');
+    } catch (error) {
+      setPhotoError(error.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const mileageError = isReturn && checkOut && draft.mileage !== '' && Number(draft.mileage) < checkOut.kilometrage
+    ? `Le kilométrage de retour ne peut pas être inférieur à celui du départ (${checkOut.kilometrage} km)`
+    : '';
+  const isComplete = draft.date && draft.mileage !== '' && draft.fuel !== '' && !mileageError;
+  const inspection = isComplete ? createInspection(draft) : null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    await onSave(createInspection(draft, { user: getCurrentUser() }));
+    setSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="vehicle-inspection">
+      {isReturn && checkOut && <InspectionReport checkOut={checkOut} />}
+
+      <div className="form-grid">
+        <div className="form-group">
+          <label htmlFor="inspection-date">{isReturn ? 'Date et heure de retour' : 'Date et heure de départ'} *</label>
+          <input
+            id="inspection-date"
+            type="datetime-local"
+            value={draft.date}
+            onChange={(e) => update('date', e.target.value)}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="inspection-mileage">Kilométrage (km) *</label>
+          <input
+            id="inspection-mileage"
+            type="number"
+            min="0"
+            value={draft.mileage}
+            onChange={(e) => update('mileage', e.target.value)}
+            required
+          />
+          {mileageError && <small className="field-error">{mileageError}</small>}
+        </div>
+        <div className="form-group">
+          <label htmlFor="inspection-fuel">Niveau de carburant *</label>
+          <select
+            id="inspection-fuel"
+            value={draft.fuel}
+            onChange={(e) => update('fuel', e.target.value)}
+            required
+          >
+            <option value="">Sélectionner</option>
+            {FUEL_LEVELS.map(level => (
+              <option key={level.value} value={level.value}>{level.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="inspection-damages">Dommages constatés</label>
+        <textarea
+          id="inspection-damages"
+          rows="3"
+          value={draft.damages}
+          placeholder="Rayures, chocs, propreté, accessoires manquants..."
+          onChange={(e) => update('damages', e.target.value)}
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="inspection-photos">Photos ({draft.photos.length}/{MAX_INSPECTION_PHOTOS})</label>
+        <input
+          id="inspection-photos"
+          type="file"
+          accept="image/*"
+          capture="environment"
+          multiple
+          disabled={uploading || draft.photos.length >= MAX_INSPECTION_PHOTOS}
+          onChange={handlePhotos}
+        />
+        {uploading && <small>Envoi des photos...</small>}
+        {photoError && <small className="field-error">{photoError}</small>}
+        {draft.photos.length > 0 && (
+          <div className="inspection-photos">
+            {draft.photos.map((photo, index) => (
+              <button
+                key={index}
+                type="button"
+                onClick={() => update('photos', draft.photos.filter((_, i) => i !== index))}
+                title="Retirer la photo"
+              >
+                <img src={photo} alt={`Photo ${index + 1}`} />
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Prix final avec les frais constatés au retour */}
+      {isReturn && inspection && (
+        <div className="price-estimate">
+          <PriceBreakdown price={computePrice({ ...reservation, checkIn: inspection }, pricingRules)} title="Prix final" />
+        </div>
+      )}
+
+      <div className="modal-actions">
+        <button type="button" className="btn btn-secondary" onClick={onClose}>
+          Annuler
+        </button>
+        <button type="submit" className="btn btn-primary" disabled={!isComplete || saving || uploading}>
+          {INSPECTION_STAGES[stage].action}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default VehicleInspection;
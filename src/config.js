@@ -0,0 +1,8 @@
+// Configuration par environnement (variables Vite `VITE_*`, voir .env.example)
+
+const DEFAULT_API_URL = 'https://gtrafplusbac.vercel.app/api';
+
+// Sans barre oblique finale pour pouvoir concaténer `${API_BASE_URL}/contact`
+export const API_BASE_URL = (import.meta.env.VITE_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+
+export const APP_ENV = import.meta.env.VITE_APP_ENV || import.meta.env.MODE;
@@ -0,0 +1,138 @@
+// Client HTTP partagé pour le backend G-TRAF+
+import axios from 'axios';
+import { API_BASE_URL } from '../config';
+import { getAuthToken, expireSession } from './session';
+
+// Erreurs typées renvoyées par le client
+export class ApiError extends Error {
+  constructor(message, status = null, data = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(message = 'Erreur réseau') {
+    super(message);
+    this.name = 'NetworkError';
+  }
+}
+
+export class ValidationError extends ApiError {
+  constructor(message, status, data) {
+    super(message, status, data);
+    this.name = 'ValidationError';
+  }
+}
+
+export class UnauthorizedError extends ApiError {
+  constructor(message, status, data) {
+    super(message, status, data);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+export class ForbiddenError extends ApiError {
+  constructor(message, status, data) {
+    super(message, status, data);
+    this.name = 'ForbiddenError';
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message, status, data) {
+    super(message, status, data);
+    this.name = 'NotFoundError';
+  }
+}
+
+const errorClasses = {
+  400: ValidationError,
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  422: ValidationError
+};
+
+// Construit l'erreur typée correspondant au statut et au champ `error` du backend
+const createApiError = (status, data) => {
+  const message = data?.error || data?.message || `Erreur serveur (${status})`;
+  const ErrorClass = errorClasses[status] || ApiError;
+  return new ErrorClass(message, status, data);
+};
+
+const client = axios.create({
+  baseURL: API_BASE_URL,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+// Ajoute le jeton de connexion à chaque requête (sauf `skipAuth`, ex: login)
+client.interceptors.request.use((config) => {
+  const token = getAuthToken();
+  if (token && !config.skipAuth) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+client.interceptors.response.use(
+  (response) => {
+    // Certaines routes répondent 200 avec un champ `error`
+    if (response.data?.error) {
+      return Promise.reject(createApiError(response.status, response.data));
+    }
+    return response;
+  },
+  (error) => {
+    if (!error.response) {
+      return Promise.reject(new NetworkError());
+    }
+
+    const { status, data } = error.response;
+    if (status === 401 && !error.config?.skipAuth) {
+      expireSession();
+    }
+    return Promise.reject(createApiError(status, data));
+  }
+);
+
+// Le backend renvoie soit `{ data: [...] }`, soit directement un tableau
+export const unwrapList = (payload) => {
+  if (Array.isArray(payload?.data)) return payload.data;
+  if (Array.isArray(payload)) return payload;
+  return [];
+};
+
+const api = {
+  get: (url, params, config = {}) => client.get(url, { ...config, params }).then(res => res.data),
+  list: (url, params, config = {}) => api.get(url, params, config).then(unwrapList),
+  post: (url, body, config = {}) => client.post(url, body, config).then(res => res.data),
+  put: (url, body, config = {}) => client.put(url, body, config).then(res => res.data),
+  delete: (url, config = {}) => client.delete(url, config).then(res => res.data)
+};
+
+// Parcours d'une liste complète, page par page, quand le serveur ne fournit ni filtre
+// ni décompte adapté ; `truncated` signale une liste incomplète
+const ALL_PAGES_SIZE = 500;
+// Garde-fou : au-delà, la liste est signalée comme incomplète
+const ALL_PAGES_MAX = 40;
+
+export const fetchAllPages = async (url, params) => {
+  const records = [];
+  const ids = new Set();
+
+  for (let page = 0; page < ALL_PAGES_MAX; page++) {
+    const list = await api.list(url, { ...params, limit: ALL_PAGES_SIZE, offset: page * ALL_PAGES_SIZE });
+    // Une page déjà lue signifie que le serveur ignore `offset` : inutile d'insister
+    if (list.some(item => ids.has(item.id))) return { records, truncated: true };
+
+    list.forEach(item => ids.add(item.id));
+    records.push(...list);
+    if (list.length < ALL_PAGES_SIZE) return { records, truncated: false };
+  }
+  return { records, truncated: true };
+};
+
+export default api;
@@ -0,0 +1,75 @@
+// Annuaire des clients : demandes /api/contact et réservations /api/reservation regroupées par personne
+import api, { fetchAllPages } from './api';
+import { DEVIS_API_URL, buildDevisPayload, mapDevisFromApi } from './devis';
+import { RESERVATION_API_URL, buildReservationPayload, mapReservationFromApi } from './reservations';
+import { buildClientDirectory } from '../utils/clients';
+
+// Pas de route /api/client : l'annuaire est reconstruit en parcourant toutes les demandes
+// et réservations, page par page
+
+// Annuaire partagé par l'onglet Clients et les formulaires pendant quelques minutes
+const DIRECTORY_CACHE_DURATION = 5 * 60 * 1000;
+
+const loadClientDirectory = async ({ withDevis, withReservations }) => {
+  const empty = { records: [], truncated: false };
+  const [devisList, reservations] = await Promise.all([
+    withDevis ? fetchAllPages(DEVIS_API_URL, { sortBy: 'date_creation', order: 'DESC' }) : empty,
+    withReservations ? fetchAllPages(RESERVATION_API_URL, { sortBy: 'date_heure_depart', order: 'DESC' }) : empty
+  ]);
+
+  return {
+    clients: buildClientDirectory(
+      devisList.records.map(mapDevisFromApi),
+      reservations.records.map(mapReservationFromApi)
+    ),
+    truncated: devisList.truncated || reservations.truncated
+  };
+};
+
+let cachedDirectory = null;
+
+// Chaque source n'est chargée que si le rôle y a accès ; renvoie { clients, truncated }
+export const fetchClientDirectory = (sources, { refresh = false } = {}) => {
+  const key = `${sources.withDevis}|${sources.withReservations}`;
+  const isFresh = cachedDirectory?.key === key && Date.now() - cachedDirectory.loadedAt < DIRECTORY_CACHE_DURATION;
+  if (isFresh && !refresh) return cachedDirectory.request;
+
+  const request = loadClientDirectory(sources);
+  cachedDirectory = { key, request, loadedAt: Date.now() };
+  // Un échec n'est pas gardé en cache
+  request.catch(() => {
+    if (cachedDirectory?.request === request) cachedDirectory = null;
+  });
+  return request;
+};
+
+// À appeler après une création ou une modification de coordonnées
+export const invalidateClientDirectory = () => {
+  cachedDirectory = null;
+};
+
+// Relit l'enregistrement juste avant de le réécrire : un règlement, un statut ou une
+// facture ajoutés depuis le chargement de l'annuaire ne sont pas écrasés
+const rewriteRecord = async (url, id, mapFromApi, buildPayload, identity) => {
+  const result = await api.get(`${url}/${id}`);
+  const current = mapFromApi(result.data || result);
+  return api.put(`${url}/${id}`, buildPayload({ ...current, ...identity }));
+};
+
+// Fusion de doublons : chaque demande et réservation est conservée, avec le nom,
+// l'email et le téléphone retenus. Renvoie le nombre d'enregistrements en échec.
+export const mergeClientRecords = async ({ devis, reservations }, identity) => {
+  const results = await Promise.allSettled([
+    ...devis.map(item => (
+      rewriteRecord(DEVIS_API_URL, item.id, mapDevisFromApi, buildDevisPayload, identity)
+    )),
+    ...reservations.map(item => (
+      rewriteRecord(RESERVATION_API_URL, item.id, mapReservationFromApi, buildReservationPayload, identity)
+    ))
+  ]);
+
+  const failures = results.filter(result => result.status === 'rejected');
+  failures.forEach(result => console.error('Erreur fusion client:', result.reason));
+  invalidateClientDirectory();
+  return failures.length;
+};
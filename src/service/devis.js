@@ -0,0 +1,74 @@
+// Correspondance entre les enregistrements /api/contact et les devis du tableau de bord
+import { fetchAllPages } from './api';
+import { DEVIS_WORKFLOW, parseHistory } from '../utils/workflow';
+import { LEGACY_CURRENCY } from '../utils/currency';
+
+export const DEVIS_API_URL = '/contact';
+
+// Tranches de budget proposées selon la devise choisie par le demandeur
+export const BUDGET_BRACKETS = {
+  GNF: ['Moins de 1 Md GNF', '1 Md - 5 Md GNF', '5 Md - 10 Md GNF', '10 Md - 50 Md GNF', 'Plus de 50 Md GNF'],
+  EUR: ['Moins de 100k€', '100k€ - 500k€', '500k€ - 1M€', '1M€ - 5M€', 'Plus de 5M€'],
+  USD: ['Moins de 100k$', '100k$ - 500k$', '500k$ - 1M$', '1M$ - 5M$', 'Plus de 5M$'],
+  XOF: ['Moins de 50M FCFA', '50M - 250M FCFA', '250M - 500M FCFA', '500M FCFA - 2,5 Md FCFA', 'Plus de 2,5 Md FCFA']
+};
+
+export const getBudgetBrackets = (currency) => BUDGET_BRACKETS[currency] || [];
+
+// Devise d'une tranche enregistrée (les anciennes demandes n'ont pas de devise)
+const findBudgetCurrency = (budget) => {
+  return Object.keys(BUDGET_BRACKETS).find(code => BUDGET_BRACKETS[code].includes(budget)) || LEGACY_CURRENCY;
+};
+
+// Conversion d'un enregistrement /api/contact vers le format du formulaire
+export const mapDevisFromApi = (item) => ({
+  id: item.id.toString(),
+  name: item.nom,
+  email: item.email,
+  phone: item.telephone,
+  projectType: item.project_type,
+  budget: item.budget,
+  budgetCurrency: item.devise_budget || findBudgetCurrency(item.budget),
+  message: item.message,
+  status: item.statut || DEVIS_WORKFLOW.initial,
+  statusHistory: parseHistory(item.historique_statut),
+  stage: item.etape || null,
+  quotes: parseHistory(item.chiffrages),
+  createdAt: item.date_creation
+});
+
+// Conversion inverse pour POST/PUT /api/contact
+export const buildDevisPayload = (devis) => ({
+  nom: devis.name?.trim() ?? '',
+  email: devis.email?.trim() ?? '',
+  telephone: devis.phone?.trim() || null,
+  project_type: devis.projectType,
+  budget: devis.budget || null,
+  devise_budget: devis.budget ? devis.budgetCurrency : null,
+  message: devis.message?.trim() ?? '',
+  statut: devis.status || DEVIS_WORKFLOW.initial,
+  historique_statut: devis.statusHistory || [],
+  etape: devis.stage || null,
+  chiffrages: devis.quotes || []
+});
+
+// /contact/count ne donne que le total : les compteurs par statut et le suivi du délai de
+// réponse sont calculés sur toutes les demandes, relues au plus une fois par minute
+const ALL_DEVIS_CACHE_DURATION = 60 * 1000;
+let cachedAllDevis = null;
+
+// Renvoie { devis, truncated }
+export const fetchAllDevis = () => {
+  if (cachedAllDevis && Date.now() - cachedAllDevis.loadedAt < ALL_DEVIS_CACHE_DURATION) {
+    return cachedAllDevis.request;
+  }
+
+  const request = fetchAllPages(DEVIS_API_URL, { sortBy: 'date_creation', order: 'DESC' })
+    .then(({ records, truncated }) => ({ devis: records.map(mapDevisFromApi), truncated }));
+  cachedAllDevis = { request, loadedAt: Date.now() };
+  // Un échec n'est pas gardé en cache
+  request.catch(() => {
+    if (cachedAllDevis?.request === request) cachedAllDevis = null;
+  });
+  return request;
+};
@@ -0,0 +1,13 @@
+// Envoi de fichiers (photos des états des lieux) au backend, qui renvoie leur URL
+import api from './api';
+
+export const FILE_API_URL = '/fichier';
+
+export const uploadFile = async (file, name) => {
+  const body = new FormData();
+  body.append('fichier', file, name);
+
+  // Le navigateur complète l'en-tête multipart avec la délimitation des parties
+  const result = await api.post(FILE_API_URL, body, { headers: { 'Content-Type': 'multipart/form-data' } });
+  return (result.data || result).url;
+};
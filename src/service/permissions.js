@@ -0,0 +1,60 @@
+// Rôles et droits des utilisateurs du tableau de bord
+
+export const ROLES = {
+  ADMIN: 'admin',
+  DISPATCHER: 'dispatcher',
+  SALES: 'commercial'
+};
+
+export const ROLE_LABELS = {
+  [ROLES.ADMIN]: 'Administrateur',
+  [ROLES.DISPATCHER]: 'Répartiteur',
+  [ROLES.SALES]: 'Commercial'
+};
+
+// Libellés acceptés dans `user.role` selon le backend
+const ROLE_ALIASES = {
+  admin: ROLES.ADMIN,
+  administrateur: ROLES.ADMIN,
+  dispatcher: ROLES.DISPATCHER,
+  dispatch: ROLES.DISPATCHER,
+  repartiteur: ROLES.DISPATCHER,
+  commercial: ROLES.SALES,
+  sales: ROLES.SALES,
+  vendeur: ROLES.SALES
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: ['*'],
+  [ROLES.DISPATCHER]: [
+    'reservations:view', 'reservations:edit', 'reservations:delete',
+    'fleet:view', 'fleet:edit',
+    'clients:view',
+    'settings:view'
+  ],
+  [ROLES.SALES]: [
+    'devis:view', 'devis:edit', 'devis:delete',
+    'clients:view',
+    'settings:view'
+  ]
+};
+
+// Sans champ `role` (ou sans utilisateur), aucun droit : les comptes créés avant
+// l'introduction des rôles doivent recevoir leur rôle côté serveur. Un rôle inconnu
+// n'a pas non plus de droit.
+export const getUserRole = (user) => {
+  const rawRole = user?.role;
+  if (!rawRole) return null;
+
+  const key = String(rawRole)
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+  return ROLE_ALIASES[key] || key;
+};
+
+export const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
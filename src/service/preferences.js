@@ -0,0 +1,34 @@
+// Préférences par utilisateur : affichage dans localStorage, vues enregistrées sur le serveur
+import { getCurrentUser } from './session';
+import { loadSetting, saveSetting } from './settings';
+
+const PREFERENCES_PREFIX = 'gtraf_prefs';
+
+const getPreferenceKey = (name) => {
+  const user = getCurrentUser();
+  const owner = user?.id || user?.email || 'anonyme';
+  return `${PREFERENCES_PREFIX}:${owner}:${name}`;
+};
+
+export const loadPreference = (name, fallback = null) => {
+  try {
+    const saved = localStorage.getItem(getPreferenceKey(name));
+    return saved ? JSON.parse(saved) : fallback;
+  } catch (error) {
+    console.error('Préférence illisible:', name, error);
+    return fallback;
+  }
+};
+
+export const savePreference = (name, value) => {
+  localStorage.setItem(getPreferenceKey(name), JSON.stringify(value));
+};
+
+// Préférences à retrouver sur tous les postes (vues enregistrées) : rangées dans les
+// réglages du serveur sous une clé propre à l'utilisateur. Les valeurs encore stockées
+// dans ce navigateur servent tant que rien n'a été enregistré côté serveur.
+export const loadUserSetting = (name, fallback = null) => {
+  return loadSetting(getPreferenceKey(name)) ?? loadPreference(name, fallback);
+};
+
+export const saveUserSetting = (name, value) => saveSetting(getPreferenceKey(name), value);
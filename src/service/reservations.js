@@ -0,0 +1,128 @@
+// Correspondance entre les enregistrements /api/reservation et les réservations du tableau de bord
+import { RESERVATION_WORKFLOW, parseHistory } from '../utils/workflow';
+import { LEGACY_CURRENCY } from '../utils/currency';
+
+export const RESERVATION_API_URL = '/reservation';
+
+// Listes de choix des réservations
+export const INSURANCE_OPTIONS = ['Tiers', 'Tous risques', 'Vol/Incendie'];
+export const EQUIPMENT_OPTIONS = ['GPS', 'Siège bébé', 'Wi-Fi'];
+export const PAYMENT_METHODS = ['Espèces', 'Carte', 'Virement', 'Orange Money', 'MTN Mobile Money'];
+
+// Options booléennes stockées dans la liste `options` avec les assurances et équipements
+export const DRIVER_OPTION = 'Avec chauffeur';
+export const UNLIMITED_KM_OPTION = 'Kilométrage illimité';
+
+// Toutes les options d'une réservation (chauffeur, kilométrage, assurances, équipements)
+export const getReservationOptions = (reservation) => [
+  ...(reservation.driver ? [DRIVER_OPTION] : []),
+  ...(reservation.unlimitedKm ? [UNLIMITED_KM_OPTION] : []),
+  ...(reservation.insurances || []),
+  ...(reservation.equipments || [])
+];
+
+// Le backend peut renvoyer `options` sous forme de tableau, de JSON sérialisé ou de liste "a,b"
+const parseOptions = (options) => {
+  if (Array.isArray(options)) return options;
+  if (typeof options !== 'string' || !options) return [];
+
+  try {
+    const parsed = JSON.parse(options);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return options.split(',').map(option => option.trim()).filter(Boolean);
+  }
+};
+
+// Acompte saisi avant le suivi des règlements, repris comme premier paiement
+const parsePayments = (item, currency) => {
+  const payments = parseHistory(item.paiements);
+  if (payments.length > 0 || !Number(item.acompte)) return payments;
+
+  return [{
+    type: 'paiement',
+    mode: item.mode_paiement || null,
+    montant: Number(item.acompte),
+    devise: currency,
+    date: null,
+    reference: 'Acompte',
+    par: null,
+    saisi_le: null
+  }];
+};
+
+// Facture et états des lieux, stockés en objet ou en JSON sérialisé
+const parseRecord = (record) => {
+  if (!record) return null;
+  if (typeof record === 'object') return record;
+
+  try {
+    return JSON.parse(record);
+  } catch {
+    return null;
+  }
+};
+
+// Conversion d'un enregistrement /api/reservation vers le format du formulaire
+export const mapReservationFromApi = (item) => {
+  const options = parseOptions(item.options);
+  const currency = item.devise || LEGACY_CURRENCY;
+
+  return {
+    id: item.id.toString(),
+    name: item.nom_client,
+    email: item.email,
+    phone: item.telephone || '',
+    address: item.adresse_client || '',
+    idNumber: item.numero_piece_identite || '',
+    vehicleType: item.type_modele_voiture,
+    vehicleId: item.vehicule_id ? item.vehicule_id.toString() : '',
+    model: item.modele_voiture || '',
+    startDate: item.date_heure_depart?.split('T')[0] || '',
+    startTime: item.date_heure_depart?.split('T')[1]?.substring(0, 5) || '',
+    endDate: item.date_heure_retour?.split('T')[0] || '',
+    endTime: item.date_heure_retour?.split('T')[1]?.substring(0, 5) || '',
+    pickupLocation: item.lieu_prise_en_charge,
+    dropoffLocation: item.lieu_restitution,
+    driver: options.includes(DRIVER_OPTION),
+    unlimitedKm: options.includes(UNLIMITED_KM_OPTION),
+    insurances: options.filter(opt => INSURANCE_OPTIONS.includes(opt)),
+    equipments: options.filter(opt => EQUIPMENT_OPTIONS.includes(opt)),
+    paymentMethod: item.mode_paiement || '',
+    payments: parsePayments(item, currency),
+    currency,
+    notes: item.commentaires || '',
+    status: item.statut || RESERVATION_WORKFLOW.initial,
+    statusHistory: parseHistory(item.historique_statut),
+    invoice: parseRecord(item.facture),
+    checkOut: parseRecord(item.etat_depart),
+    checkIn: parseRecord(item.etat_retour),
+    createdAt: item.date_heure_depart
+  };
+};
+
+// Conversion inverse pour POST/PUT /api/reservation
+// (la facture n'est jamais réécrite : elle est émise par POST /api/reservation/:id/facture)
+export const buildReservationPayload = (reservation) => ({
+  nom_client: reservation.name,
+  email: reservation.email,
+  telephone: reservation.phone || null,
+  adresse_client: reservation.address?.trim() || null,
+  numero_piece_identite: reservation.idNumber?.trim() || null,
+  type_modele_voiture: reservation.vehicleType,
+  vehicule_id: reservation.vehicleId || null,
+  modele_voiture: reservation.model?.trim() || null,
+  date_heure_depart: `${reservation.startDate}T${reservation.startTime}:00`,
+  date_heure_retour: `${reservation.endDate}T${reservation.endTime}:00`,
+  lieu_prise_en_charge: reservation.pickupLocation,
+  lieu_restitution: reservation.dropoffLocation,
+  options: getReservationOptions(reservation),
+  mode_paiement: reservation.paymentMethod || null,
+  paiements: reservation.payments || [],
+  devise: reservation.currency,
+  commentaires: reservation.notes || null,
+  statut: reservation.status || RESERVATION_WORKFLOW.initial,
+  historique_statut: reservation.statusHistory || [],
+  etat_depart: reservation.checkOut || null,
+  etat_retour: reservation.checkIn || null
+});
@@ -0,0 +1,82 @@
+// Gestion de la session administrateur (stockée dans localStorage)
+
+export const SESSION_EXPIRED_EVENT = 'gtraf:session-expired';
+
+// Durée maximale d'une session quand le backend ne fournit pas de jeton expirant
+const MAX_SESSION_DURATION = 8 * 60 * 60 * 1000;
+
+const SESSION_KEYS = ['user', 'isAuthenticated', 'authToken', 'authExpiresAt'];
+
+// Décode la charge utile d'un JWT, renvoie null si le jeton n'en est pas un
+export const decodeToken = (token) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=');
+    return JSON.parse(atob(padded));
+  } catch {
+    return null;
+  }
+};
+
+// Date d'expiration (ms) du jeton : champ `exp` d'un JWT, ou horodatage de
+// connexion quand le backend n'a pas renvoyé de jeton
+export const getTokenExpiry = (token) => {
+  const payload = decodeToken(token);
+  if (payload?.exp) return payload.exp * 1000;
+
+  if (/^\d+$/.test(token || '')) return Number(token) + MAX_SESSION_DURATION;
+
+  return null;
+};
+
+export const getAuthToken = () => localStorage.getItem('authToken');
+
+export const getCurrentUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem('user')) || null;
+  } catch {
+    return null;
+  }
+};
+
+export const getSessionExpiry = () => {
+  const stored = Number(localStorage.getItem('authExpiresAt'));
+  return stored || getTokenExpiry(getAuthToken());
+};
+
+export const saveSession = ({ user, token }) => {
+  const authToken = token || Date.now().toString();
+  const expiresAt = getTokenExpiry(authToken) || Date.now() + MAX_SESSION_DURATION;
+
+  localStorage.setItem('user', JSON.stringify(user));
+  localStorage.setItem('isAuthenticated', 'true');
+  localStorage.setItem('authToken', authToken);
+  localStorage.setItem('authExpiresAt', expiresAt.toString());
+};
+
+export const hasSession = () => {
+  return Boolean(localStorage.getItem('isAuthenticated') && getAuthToken());
+};
+
+export const isSessionValid = () => {
+  if (!hasSession()) return false;
+
+  const expiresAt = getSessionExpiry();
+  return Boolean(expiresAt) && Date.now() < expiresAt;
+};
+
+export const clearSession = () => {
+  SESSION_KEYS.forEach(key => localStorage.removeItem(key));
+};
+
+// Ferme la session et prévient le tableau de bord pour qu'il redirige
+export const expireSession = () => {
+  clearSession();
+  window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+};
+
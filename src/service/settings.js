@@ -0,0 +1,54 @@
+// Réglages communs à tous les postes (colonnes, capacités, tarifs...)
+//
+// Stockés côté serveur dans la table /api/parametres (lignes { cle, valeur }) et chargés à
+// l'ouverture du tableau de bord. La copie locale sert aux lectures synchrones et de
+// secours quand le serveur est injoignable.
+import api from './api';
+
+export const SETTINGS_API_URL = '/parametres';
+
+const SETTINGS_KEY = 'gtraf_settings_v1';
+
+const readCache = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch (error) {
+    console.error('Réglages illisibles:', error);
+    return {};
+  }
+};
+
+let settings = readCache();
+
+const writeCache = (newSettings) => {
+  settings = newSettings;
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(newSettings));
+};
+
+// Les valeurs peuvent revenir sérialisées en texte selon la colonne du backend
+const parseValue = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+// Recharge les réglages partagés ; le serveur fait foi sur la copie locale
+export const fetchSettings = async () => {
+  const rows = await api.list(SETTINGS_API_URL);
+  writeCache(Object.fromEntries(rows.map(row => [row.cle, parseValue(row.valeur)])));
+  return settings;
+};
+
+export const loadSetting = (name, fallback = null) => {
+  return settings[name] ?? fallback;
+};
+
+// Enregistre un réglage pour tous les postes, puis met à jour la copie locale
+export const saveSetting = async (name, value) => {
+  const result = await api.put(`${SETTINGS_API_URL}/${encodeURIComponent(name)}`, { valeur: value });
+  const saved = result?.data?.valeur ?? result?.valeur;
+  writeCache({ ...settings, [name]: saved === undefined ? value : parseValue(saved) });
+};
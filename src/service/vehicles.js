@@ -0,0 +1,46 @@
+// Correspondance entre les enregistrements /api/vehicule et la flotte du tableau de bord
+import { LEGACY_CURRENCY } from '../utils/currency';
+
+export const VEHICLE_API_URL = '/vehicule';
+
+// Catégories de véhicules (aussi le « type de véhicule » d'une réservation)
+export const VEHICLE_CATEGORIES = ['Citadine', 'Berline', 'SUV/4x4', 'Utilitaire', 'Minibus'];
+
+// Disponibilité d'un véhicule de la flotte (même forme qu'un cycle de vie pour StatusBadge)
+export const VEHICLE_STATUSES = {
+  initial: 'disponible',
+  statuses: [
+    { value: 'disponible', label: 'Disponible', color: 'success' },
+    { value: 'en_location', label: 'En location', color: 'primary' },
+    { value: 'maintenance', label: 'En maintenance', color: 'warning' },
+    { value: 'hors_service', label: 'Hors service', color: 'danger' }
+  ],
+  transitions: {}
+};
+
+// Conversion d'un enregistrement /api/vehicule vers le format du formulaire
+export const mapVehicleFromApi = (item) => ({
+  id: item.id.toString(),
+  plate: item.immatriculation,
+  model: item.modele,
+  category: item.categorie,
+  mileage: item.kilometrage ?? '',
+  status: item.statut || VEHICLE_STATUSES.initial,
+  dailyRate: item.tarif_journalier ?? '',
+  currency: item.devise || LEGACY_CURRENCY,
+  notes: item.commentaires || ''
+});
+
+// Conversion inverse pour POST/PUT /api/vehicule
+export const buildVehiclePayload = (vehicle) => ({
+  immatriculation: vehicle.plate.trim().toUpperCase(),
+  modele: vehicle.model.trim(),
+  categorie: vehicle.category,
+  kilometrage: vehicle.mileage === '' ? null : Number(vehicle.mileage),
+  statut: vehicle.status || VEHICLE_STATUSES.initial,
+  tarif_journalier: vehicle.dailyRate === '' ? null : Number(vehicle.dailyRate),
+  devise: vehicle.currency,
+  commentaires: vehicle.notes?.trim() || null
+});
+
+export const formatVehicleLabel = (vehicle) => `${vehicle.plate} — ${vehicle.model}`;
@@ -0,0 +1,62 @@
+// Disponibilité des véhicules : détection des réservations qui se chevauchent
+//
+// Une réservation occupe une unité de son type de véhicule entre
+// `date_heure_depart` et `date_heure_retour` (fin exclue).
+
+// Statuts qui ne bloquent plus de véhicule
+export const RELEASED_STATUSES = ['annulee', 'restituee'];
+
+export const getReservationWindow = (reservation) => ({
+  start: new Date(`${reservation.startDate}T${reservation.startTime}`),
+  end: new Date(`${reservation.endDate}T${reservation.endTime}`)
+});
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// Capacité d'un type de véhicule : valeur saisie dans les paramètres, sinon le nombre
+// de véhicules de la catégorie dans la flotte. `null` : pas de limite connue.
+export const resolveCapacity = (vehicleType, capacities, fleet = []) => {
+  const configured = capacities?.[vehicleType];
+  if (configured !== undefined && configured !== null && configured !== '') return Number(configured);
+
+  const units = fleet.filter(vehicle => vehicle.category === vehicleType && vehicle.status !== 'hors_service').length;
+  return units > 0 ? units : null;
+};
+
+// Nombre maximal de réservations simultanées pendant la fenêtre
+const getPeakUsage = (period, bookings) => {
+  const points = [period.start, ...bookings.map(booking => booking.period.start).filter(start => start > period.start)];
+  return Math.max(0, ...points.map(point => (
+    bookings.filter(booking => booking.period.start <= point && point < booking.period.end).length
+  )));
+};
+
+// Réservations en conflit avec `reservation` parmi `others` (même type ou même véhicule)
+export const findConflicts = (reservation, others, capacity) => {
+  const period = getReservationWindow(reservation);
+  if (RELEASED_STATUSES.includes(reservation.status) || Number.isNaN(period.start.getTime())
+    || Number.isNaN(period.end.getTime()) || period.end <= period.start) {
+    return { conflicts: [], vehicleConflicts: [], capacity, exceeded: false };
+  }
+
+  const overlapping = others
+    .filter(other => other.id !== reservation.id && !RELEASED_STATUSES.includes(other.status))
+    .map(other => ({ ...other, period: getReservationWindow(other) }))
+    .filter(other => overlaps(period, other.period));
+
+  const sameType = overlapping.filter(other => other.vehicleType === reservation.vehicleType);
+  const vehicleConflicts = reservation.vehicleId
+    ? overlapping.filter(other => other.vehicleId === reservation.vehicleId)
+    : [];
+  const exceeded = capacity !== null && getPeakUsage(period, sameType) + 1 > capacity;
+
+  return {
+    conflicts: exceeded ? sameType : [],
+    vehicleConflicts,
+    capacity,
+    exceeded
+  };
+};
+
+// Une vérification incomplète (réservations de la période non toutes reçues) bloque aussi
+export const hasConflicts = (result) => result.incomplete || result.exceeded || result.vehicleConflicts.length > 0;
@@ -0,0 +1,235 @@
+// Annuaire des clients, reconstitué à partir des demandes de devis et des réservations
+//
+// Il n'existe pas de table clients côté serveur : deux enregistrements partageant
+// un email ou un numéro de téléphone désignent la même personne.
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Numéros guinéens : indicatif +224 / 00224 facultatif, espaces et séparateurs ignorés
+export const normalizePhone = (phone) => {
+  let digits = String(phone || '').replace(/\D/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  if (digits.startsWith('224') && digits.length > 9) digits = digits.slice(3);
+  return digits;
+};
+
+// En dessous, un numéro saisi partiellement regrouperait des inconnus
+const MIN_PHONE_LENGTH = 6;
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+const toRecord = (kind, item, date) => ({
+  kind,
+  item,
+  name: item.name?.trim() || '',
+  email: normalizeEmail(item.email),
+  phone: normalizePhone(item.phone),
+  date: date || ''
+});
+
+// Identifiant stable dans l'URL : email de préférence, sinon téléphone, sinon l'enregistrement lui-même
+const getClientId = (records) => {
+  const email = records.find(record => record.email)?.email;
+  if (email) return email;
+  const phone = records.find(record => record.phone)?.phone;
+  return phone ? `tel-${phone}` : `${records[0].kind}-${records[0].item.id}`;
+};
+
+const createClient = (records) => {
+  // Le plus récent en premier : son nom et ses coordonnées font foi
+  const sorted = [...records].sort((a, b) => String(b.date).localeCompare(String(a.date)));
+  const latest = sorted[0];
+  const latestReservation = sorted.find(record => record.kind === 'reservation')?.item;
+
+  return {
+    id: getClientId(sorted),
+    name: latest.name,
+    names: unique(sorted.map(record => record.name)),
+    emails: unique(sorted.map(record => record.item.email?.trim())),
+    phones: unique(sorted.map(record => record.item.phone?.trim())),
+    address: latestReservation?.address || '',
+    idNumber: latestReservation?.idNumber || '',
+    devis: sorted.filter(record => record.kind === 'devis').map(record => record.item),
+    reservations: sorted.filter(record => record.kind === 'reservation').map(record => record.item),
+    lastActivity: latest.date
+  };
+};
+
+export const buildClientDirectory = (devisList, reservations) => {
+  const records = [
+    ...devisList.map(item => toRecord('devis', item, item.createdAt)),
+    ...reservations.map(item => toRecord('reservation', item, item.startDate))
+  ];
+
+  // Regroupement transitif : A et B partagent un email, B et C un téléphone => un seul client
+  const parent = records.map((_, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const owners = new Map();
+
+  records.forEach((record, index) => {
+    const keys = [
+      record.email && `email:${record.email}`,
+      record.phone.length >= MIN_PHONE_LENGTH && `tel:${record.phone}`
+    ].filter(Boolean);
+
+    keys.forEach(key => {
+      if (owners.has(key)) {
+        parent[find(index)] = find(owners.get(key));
+      } else {
+        owners.set(key, index);
+      }
+    });
+  });
+
+  const groups = new Map();
+  records.forEach((record, index) => {
+    const root = find(index);
+    groups.set(root, [...(groups.get(root) || []), record]);
+  });
+
+  return [...groups.values()]
+    .map(createClient)
+    .sort((a, b) => String(b.lastActivity).localeCompare(String(a.lastActivity)));
+};
+
+export const matchesClient = (client, term) => {
+  const search = term.trim().toLowerCase();
+  if (!search) return true;
+
+  const digits = normalizePhone(search);
+  return client.names.some(name => name.toLowerCase().includes(search)) ||
+    client.emails.some(email => email.toLowerCase().includes(search)) ||
+    (digits.length >= 3 && client.phones.some(phone => normalizePhone(phone).includes(digits)));
+};
+
+// Noms comparés sans accents, casse ni ordre des mots (« DIALLO Mamadou » = « Mamadou Diallo »)
+export const normalizeName = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z]+/)
+  .filter(Boolean)
+  .sort()
+  .join(' ');
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Au-delà, deux noms sont considérés comme une faute de frappe l'un de l'autre
+export const SIMILAR_NAME_THRESHOLD = 0.85;
+
+// Similarité de 0 à 1 entre deux noms normalisés
+const similarity = (left, right) => {
+  if (!left || !right) return 0;
+  const length = Math.max(left.length, right.length);
+  // L'écart de longueur est un minimum de la distance : inutile de la calculer
+  if (Math.abs(left.length - right.length) > length * (1 - SIMILAR_NAME_THRESHOLD)) return 0;
+  return 1 - editDistance(left, right) / length;
+};
+
+// Fiches distinctes d'un client : une par combinaison nom / email / téléphone saisie
+export const getClientProfiles = (client) => {
+  const profiles = new Map();
+  const addRecord = (item, list, date) => {
+    const name = item.name?.trim() || '';
+    const email = item.email?.trim() || '';
+    const phone = item.phone?.trim() || '';
+    const key = `${name}|${email}|${phone}`;
+    const profile = profiles.get(key) || { key, name, email, phone, devis: [], reservations: [], lastActivity: '' };
+
+    profile[list].push(item);
+    if (date && date > profile.lastActivity) profile.lastActivity = date;
+    profiles.set(key, profile);
+  };
+
+  client.devis.forEach(item => addRecord(item, 'devis', item.createdAt));
+  client.reservations.forEach(item => addRecord(item, 'reservations', item.startDate));
+  return [...profiles.values()].sort((a, b) => b.lastActivity.localeCompare(a.lastActivity));
+};
+
+// Vrai si au moins deux fiches partagent la même valeur normalisée
+const hasSharedValue = (values, minLength = 1) => {
+  const filled = values.filter(value => value.length >= minLength);
+  return new Set(filled).size < filled.length;
+};
+
+export const DUPLICATE_REASONS = {
+  email: 'Même email',
+  telephone: 'Même téléphone',
+  nom: 'Nom similaire'
+};
+
+// Doublons probables : clients aux noms proches, ou client saisi sous plusieurs fiches
+// (même email ou même téléphone, mais orthographe ou coordonnées différentes)
+export const findDuplicateGroups = (clients) => {
+  const names = clients.map(client => client.names.map(normalizeName).filter(Boolean));
+  const parent = clients.map((_, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+  for (let i = 0; i < clients.length; i++) {
+    for (let j = i + 1; j < clients.length; j++) {
+      if (find(i) === find(j)) continue;
+      const similar = names[i].some(left => names[j].some(right => similarity(left, right) >= SIMILAR_NAME_THRESHOLD));
+      if (similar) parent[find(j)] = find(i);
+    }
+  }
+
+  const members = new Map();
+  clients.forEach((client, index) => {
+    const root = find(index);
+    members.set(root, [...(members.get(root) || []), client]);
+  });
+
+  return [...members.values()]
+    .map(group => {
+      const profiles = group
+        .flatMap(getClientProfiles)
+        .sort((a, b) => b.lastActivity.localeCompare(a.lastActivity));
+      const reasons = [
+        hasSharedValue(profiles.map(profile => normalizeEmail(profile.email))) && 'email',
+        hasSharedValue(profiles.map(profile => normalizePhone(profile.phone)), MIN_PHONE_LENGTH) && 'telephone',
+        group.length > 1 && 'nom'
+      ].filter(Boolean);
+
+      return {
+        id: group.map(client => client.id).sort().join('+'),
+        clients: group,
+        profiles,
+        reasons
+      };
+    })
+    // Une fiche sans téléphone n'est pas un doublon de la même fiche avec téléphone
+    .filter(group => group.clients.length > 1 ||
+      Object.values(getMergeChoices(group.profiles)).some(values => values.length > 1));
+};
+
+// Valeurs proposées pour la fiche fusionnée, la plus récente en premier
+export const getMergeChoices = (profiles) => ({
+  name: unique(profiles.map(profile => profile.name)),
+  email: unique(profiles.map(profile => profile.email)),
+  phone: unique(profiles.map(profile => profile.phone))
+});
+
+// Enregistrements à réécrire pour qu'ils portent tous la fiche retenue
+export const getMergeUpdates = (profiles, identity) => {
+  const changed = profiles.filter(profile => (
+    profile.name !== identity.name || profile.email !== identity.email || profile.phone !== identity.phone
+  ));
+  return {
+    devis: changed.flatMap(profile => profile.devis),
+    reservations: changed.flatMap(profile => profile.reservations)
+  };
+};
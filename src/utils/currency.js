@@ -0,0 +1,91 @@
+// Devises et taux de change
+//
+// Chaque montant est enregistré avec sa devise (la devise de base au moment de la
+// saisie) ; l'affichage et les exports le convertissent dans la devise choisie par
+// l'utilisateur à partir des taux enregistrés dans les paramètres.
+import { loadSetting } from '../service/settings';
+import { loadPreference } from '../service/preferences';
+
+export const CURRENCIES = [
+  { code: 'GNF', label: 'Franc guinéen', decimals: 0 },
+  { code: 'EUR', label: 'Euro', decimals: 2 },
+  { code: 'USD', label: 'Dollar américain', decimals: 2 },
+  { code: 'XOF', label: 'Franc CFA (UEMOA)', decimals: 0 }
+];
+
+// Devise des montants saisis avant la gestion multi-devises
+export const LEGACY_CURRENCY = 'EUR';
+
+// Taux : valeur d'une unité de chaque devise exprimée dans la devise de base
+export const DEFAULT_CURRENCY_SETTINGS = {
+  base: 'GNF',
+  rates: { GNF: 1, EUR: 9400, USD: 8650, XOF: 14.3 },
+  updatedAt: null,
+  updatedBy: null
+};
+
+export const getCurrency = (code) => {
+  return CURRENCIES.find(currency => currency.code === code) || { code, label: code, decimals: 2 };
+};
+
+// Exprime les taux dans une autre devise de base (la nouvelle base vaut 1)
+export const rebaseRates = (rates, base) => {
+  const baseRate = Number(rates[base]) || 1;
+  return Object.fromEntries(Object.entries(rates).map(([code, rate]) => [code, (Number(rate) || 0) / baseRate]));
+};
+
+// Complète les taux enregistrés avec ceux des devises ajoutées depuis
+export const resolveCurrencySettings = (stored) => {
+  const base = stored?.base || DEFAULT_CURRENCY_SETTINGS.base;
+  return {
+    ...DEFAULT_CURRENCY_SETTINGS,
+    ...stored,
+    base,
+    rates: { ...rebaseRates(DEFAULT_CURRENCY_SETTINGS.rates, base), ...stored?.rates, [base]: 1 }
+  };
+};
+
+export const getCurrencySettings = () => resolveCurrencySettings(loadSetting('currency'));
+
+export const getBaseCurrency = () => getCurrencySettings().base;
+
+// Devise d'affichage choisie par l'utilisateur, la devise de base par défaut
+export const getDisplayCurrency = (settings = getCurrencySettings()) => {
+  const chosen = loadPreference('display-currency');
+  return settings.rates[chosen] ? chosen : settings.base;
+};
+
+export const convertAmount = (amount, from, to, rates) => {
+  const value = Number(amount) || 0;
+  if (from === to) return value;
+  const fromRate = Number(rates[from]);
+  const toRate = Number(rates[to]);
+  if (!fromRate || !toRate) return value;
+  return value * fromRate / toRate;
+};
+
+// Montant formaté dans sa propre devise, sans conversion
+export const formatMoney = (amount, currency) => {
+  const { decimals } = getCurrency(currency);
+  return new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  }).format(Number(amount) || 0);
+};
+
+// Montant saisi en `from` (devise de base par défaut), converti dans la devise d'affichage
+export const formatAmount = (amount, from) => {
+  const settings = getCurrencySettings();
+  const display = getDisplayCurrency(settings);
+  return formatMoney(convertAmount(amount, from || settings.base, display, settings.rates), display);
+};
+
+// Valeur numérique convertie pour les exports (arrondie selon la devise d'affichage)
+export const exportAmount = (amount, from) => {
+  const settings = getCurrencySettings();
+  const display = getDisplayCurrency(settings);
+  const factor = 10 ** getCurrency(display).decimals;
+  return Math.round(convertAmount(amount, from || settings.base, display, settings.rates) * factor) / factor;
+};
@@ -0,0 +1,141 @@
+// Filtres avancés : description des champs, correspondance locale et paramètres d'API
+//
+// Un champ est décrit par { key, label, type, accessor, param(s) } où `type` vaut
+// 'dateRange' ({ from, to }), 'text', 'select' ou 'multiselect' (tableau).
+
+const toDateString = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Raccourcis de période pour les champs 'dateRange'
+export const DATE_RANGE_SHORTCUTS = [
+  {
+    label: "Aujourd'hui",
+    range: () => {
+      const today = toDateString(new Date());
+      return { from: today, to: today };
+    }
+  },
+  {
+    label: 'Cette semaine',
+    range: () => {
+      const now = new Date();
+      const monday = new Date(now);
+      monday.setDate(now.getDate() - ((now.getDay() + 6) % 7));
+      const sunday = new Date(monday);
+      sunday.setDate(monday.getDate() + 6);
+      return { from: toDateString(monday), to: toDateString(sunday) };
+    }
+  },
+  {
+    label: 'Ce mois',
+    range: () => {
+      const now = new Date();
+      return {
+        from: toDateString(new Date(now.getFullYear(), now.getMonth(), 1)),
+        to: toDateString(new Date(now.getFullYear(), now.getMonth() + 1, 0))
+      };
+    }
+  }
+];
+
+export const createEmptyFilters = (fields) => {
+  return fields.reduce((values, field) => {
+    if (field.type === 'dateRange') values[field.key] = { from: '', to: '' };
+    else if (field.type === 'multiselect') values[field.key] = [];
+    else values[field.key] = '';
+    return values;
+  }, {});
+};
+
+// Les périodes choisies via un raccourci gardent son libellé (`relative`) pour être
+// recalculées à l'application d'une vue enregistrée : "Ce mois" reste le mois courant
+export const resolveRelativeRanges = (fields, values) => {
+  return fields.reduce((resolved, field) => {
+    const value = values[field.key];
+    if (field.type === 'dateRange' && value?.relative) {
+      const shortcut = DATE_RANGE_SHORTCUTS.find(item => item.label === value.relative);
+      if (shortcut) resolved[field.key] = { ...shortcut.range(), relative: shortcut.label };
+    }
+    return resolved;
+  }, { ...values });
+};
+
+// Filtres transmis dans l'URL (?filtres=...) pour partager une vue
+export const parseSharedFilters = (fields, encoded) => {
+  const empty = createEmptyFilters(fields);
+  if (!encoded) return empty;
+
+  try {
+    return resolveRelativeRanges(fields, { ...empty, ...JSON.parse(encoded) });
+  } catch {
+    return empty;
+  }
+};
+
+const isValueEmpty = (field, value) => {
+  if (field.type === 'dateRange') return !value?.from && !value?.to;
+  if (field.type === 'multiselect') return !value?.length;
+  return !value;
+};
+
+export const countActiveFilters = (fields, values) => {
+  return fields.filter(field => !isValueEmpty(field, values[field.key])).length;
+};
+
+const normalizeText = (value) => String(value ?? '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+const matchesField = (field, item, value) => {
+  const itemValue = field.accessor ? field.accessor(item) : item[field.key];
+
+  switch (field.type) {
+    case 'dateRange': {
+      if (!itemValue) return false;
+      const day = String(itemValue).substring(0, 10);
+      return (!value.from || day >= value.from) && (!value.to || day <= value.to);
+    }
+    case 'text':
+      return normalizeText(itemValue).includes(normalizeText(value.trim()));
+    case 'multiselect': {
+      const itemValues = Array.isArray(itemValue) ? itemValue : [itemValue];
+      // 'all' : l'enregistrement doit comporter toutes les valeurs cochées
+      return field.mode === 'all'
+        ? value.every(selected => itemValues.includes(selected))
+        : value.some(selected => itemValues.includes(selected));
+    }
+    default:
+      return itemValue === value;
+  }
+};
+
+// Un champ peut fournir `match(item, value)` quand la correspondance n'est pas directe
+export const matchesFilters = (item, fields, values) => {
+  return fields.every(field => {
+    const value = values[field.key];
+    if (isValueEmpty(field, value)) return true;
+    return field.match ? field.match(item, value) : matchesField(field, item, value);
+  });
+};
+
+// Paramètres de requête : `param` pour les champs simples, `params: [from, to]` pour les périodes
+export const toQueryParams = (fields, values) => {
+  return fields.reduce((params, field) => {
+    const value = values[field.key];
+    if (isValueEmpty(field, value)) return params;
+
+    if (field.type === 'dateRange') {
+      const [fromParam, toParam] = field.params;
+      if (value.from) params[fromParam] = value.from;
+      if (value.to) params[toParam] = value.to;
+    } else if (field.type === 'multiselect') {
+      params[field.param] = value.join(',');
+    } else if (field.param) {
+      params[field.param] = field.type === 'text' ? value.trim() : value;
+    }
+    return params;
+  }, {});
+};
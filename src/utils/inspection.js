@@ -0,0 +1,79 @@
+// États des lieux de départ et de retour d'une réservation
+//
+// Chaque état est stocké sur la réservation :
+// { date, par, kilometrage, carburant, dommages, photos }, le carburant en huitièmes de réservoir.
+// Les photos sont envoyées au service de fichiers : la réservation ne garde que leurs URL.
+
+export const FUEL_LEVELS = Array.from({ length: 9 }, (_, eighths) => ({
+  value: eighths,
+  label: eighths === 0 ? 'Vide' : eighths === 8 ? 'Plein' : `${eighths}/8`
+}));
+
+export const MAX_INSPECTION_PHOTOS = 6;
+
+const PHOTO_MAX_SIZE = 1024;
+const PHOTO_QUALITY = 0.7;
+
+export const getFuelLabel = (value) => FUEL_LEVELS.find(level => level.value === Number(value))?.label || '—';
+
+// Réduit une photo prise au téléphone (JPEG) avant de l'envoyer au serveur
+export const resizePhoto = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+
+  image.onload = () => {
+    const scale = Math.min(1, PHOTO_MAX_SIZE / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error(`Image illisible : ${file.name}`))),
+      'image/jpeg',
+      PHOTO_QUALITY
+    );
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`Image illisible : ${file.name}`));
+  };
+  image.src = url;
+});
+
+export const createInspection = ({ date, mileage, fuel, damages, photos }, { user } = {}) => ({
+  date: new Date(date).toISOString(),
+  par: user?.email || user?.nom || null,
+  kilometrage: Number(mileage),
+  carburant: Number(fuel),
+  dommages: damages?.trim() || null,
+  photos
+});
+
+// Écarts entre le départ et le retour
+export const compareInspections = (checkOut, checkIn) => ({
+  distance: Math.max(0, checkIn.kilometrage - checkOut.kilometrage),
+  fuelDifference: checkIn.carburant - checkOut.carburant
+});
+
+// Étapes de la remise : statut de départ, statut atteint et champ de la réservation
+export const INSPECTION_STAGES = {
+  depart: {
+    from: 'confirmee',
+    status: 'vehicule_remis',
+    field: 'checkOut',
+    label: 'État des lieux de départ',
+    action: 'Valider la remise du véhicule'
+  },
+  retour: {
+    from: 'vehicule_remis',
+    status: 'restituee',
+    field: 'checkIn',
+    label: 'État des lieux de retour',
+    action: 'Valider la restitution'
+  }
+};
+
+export const getInspectionStage = (status) => {
+  return Object.keys(INSPECTION_STAGES).find(stage => INSPECTION_STAGES[stage].from === status) || null;
+};
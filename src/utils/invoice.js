@@ -0,0 +1,41 @@
+// Contrat de location et facture d'une réservation
+//
+// La facture est figée à son émission et stockée sur la réservation :
+// { numero, date, par, devise, lignes, total, acompte }. Le numéro (FAC-2026-0001...) est
+// attribué par le serveur, seul à garantir une numérotation continue et sans doublon.
+import { convertAmount, getCurrency, getCurrencySettings } from './currency';
+import { computePaidAmount } from './payments';
+
+// Statuts à partir desquels le contrat peut être établi
+export const CONTRACT_STATUSES = ['confirmee', 'vehicule_remis', 'restituee'];
+
+// La facture, figée à l'émission, attend la restitution : kilomètres en trop, carburant
+// et retard relevés à l'état des lieux de retour y figurent
+export const INVOICE_STATUSES = ['restituee'];
+
+export const getContractNumber = (reservationId) => `CTR-${reservationId}`;
+
+// Prix estimatif converti dans la devise de la réservation
+export const convertPrice = (price, currency) => {
+  const { rates } = getCurrencySettings();
+  const factor = 10 ** getCurrency(currency).decimals;
+  const round = (value) => Math.round(value * factor) / factor;
+  const lines = price.lines.map(line => ({
+    ...line,
+    amount: round(convertAmount(line.amount, price.currency, currency, rates))
+  }));
+  return { lines, total: round(lines.reduce((sum, line) => sum + line.amount, 0)) };
+};
+
+// Facture à émettre, sans numéro
+export const createInvoice = (reservation, price, { user }) => {
+  const { lines, total } = convertPrice(price, reservation.currency);
+  return {
+    date: new Date().toISOString(),
+    par: user?.email || user?.nom || null,
+    devise: reservation.currency,
+    lignes: lines,
+    total,
+    acompte: computePaidAmount(reservation.payments, reservation.currency)
+  };
+};
@@ -0,0 +1,76 @@
+// Règlements d'une réservation (paiements et remboursements)
+//
+// Les écritures sont stockées sur la réservation sous forme de liste
+// [{ type, mode, montant, devise, taux, devise_convertie, montant_converti, date, reference, par, saisi_le }],
+// dans l'ordre de saisie. Un règlement en devise étrangère garde le taux du jour de sa saisie
+// et son montant converti dans la devise de la réservation : le solde ne bouge plus ensuite.
+import { convertAmount, getCurrency, getCurrencySettings } from './currency';
+
+export const PAYMENT_TYPES = [
+  { value: 'paiement', label: 'Paiement' },
+  { value: 'remboursement', label: 'Remboursement' }
+];
+
+// Situation du règlement, affichée comme un statut
+export const PAYMENT_STATUS_WORKFLOW = {
+  initial: 'en_attente',
+  statuses: [
+    { value: 'en_attente', label: 'Paiement en attente', color: 'warning' },
+    { value: 'solde', label: 'Soldée', color: 'success' },
+    { value: 'trop_percu', label: 'À rembourser', color: 'info' }
+  ],
+  transitions: {}
+};
+
+const roundTo = (amount, currency) => {
+  const factor = 10 ** getCurrency(currency).decimals;
+  return Math.round(amount * factor) / factor;
+};
+
+// `currency` : devise de la réservation, dans laquelle le montant est figé
+export const createPayment = ({ type, method, amount, currency, date, reference }, { user, currency: due } = {}) => {
+  const target = due || currency;
+  const { rates } = getCurrencySettings();
+  const rate = convertAmount(1, currency, target, rates);
+
+  return {
+    type,
+    mode: method,
+    montant: Number(amount),
+    devise: currency,
+    taux: rate,
+    devise_convertie: target,
+    montant_converti: roundTo(Number(amount) * rate, target),
+    date,
+    reference: reference?.trim() || null,
+    par: user?.email || user?.nom || null,
+    saisi_le: new Date().toISOString()
+  };
+};
+
+// Montant d'une écriture dans la devise demandée : montant figé à la saisie,
+// ou taux du moment pour les écritures enregistrées avant le taux figé
+const getPaymentAmount = (payment, currency, rates) => {
+  const from = payment.devise || currency;
+  if (from === currency) return payment.montant;
+  if (payment.devise_convertie === currency && payment.montant_converti != null) return payment.montant_converti;
+  return convertAmount(payment.montant, from, currency, rates);
+};
+
+// Montant net encaissé (paiements moins remboursements) dans la devise demandée
+export const computePaidAmount = (payments, currency) => {
+  const { rates } = getCurrencySettings();
+  const total = (payments || []).reduce((sum, payment) => {
+    const amount = getPaymentAmount(payment, currency, rates);
+    return payment.type === 'remboursement' ? sum - amount : sum + amount;
+  }, 0);
+  return roundTo(total, currency);
+};
+
+// Écart toléré d'une unité de la devise (centime, franc) dû aux arrondis de conversion
+export const getPaymentStatus = (amountDue, paid, currency) => {
+  const factor = 10 ** getCurrency(currency).decimals;
+  const difference = Math.round((paid - amountDue) * factor);
+  if (difference > 1) return 'trop_percu';
+  return difference < -1 ? 'en_attente' : 'solde';
+};
@@ -0,0 +1,250 @@
+// Moteur de tarification des locations
+//
+// Les règles sont modifiables depuis les paramètres ; le calcul renvoie le total
+// et le détail ligne par ligne affiché dans la réservation.
+import {
+  DRIVER_OPTION,
+  EQUIPMENT_OPTIONS,
+  INSURANCE_OPTIONS,
+  UNLIMITED_KM_OPTION,
+  getReservationOptions
+} from '../service/reservations';
+import { LEGACY_CURRENCY, convertAmount, getCurrency, getCurrencySettings } from './currency';
+import { compareInspections } from './inspection';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const BILLING_MODES = [
+  { value: 'jour', label: 'À la journée' },
+  { value: 'heure', label: "À l'heure" }
+];
+
+export const OPTION_UNITS = [
+  { value: 'jour', label: 'par jour' },
+  { value: 'forfait', label: 'forfait' }
+];
+
+// Anciens tarifs codés en dur (en euros), convertis en francs guinéens
+export const DEFAULT_PRICING_RULES = {
+  currency: 'GNF',
+  billing: 'jour',
+  categoryRates: {
+    Citadine: { jour: 750000, heure: 110000 },
+    Berline: { jour: 1100000, heure: 170000 },
+    'SUV/4x4': { jour: 1700000, heure: 250000 },
+    Utilitaire: { jour: 950000, heure: 140000 },
+    Minibus: { jour: 1900000, heure: 280000 }
+  },
+  weekendSurcharge: 0,
+  seasons: [],
+  longRentalDiscounts: [],
+  optionPrices: {
+    [DRIVER_OPTION]: { amount: 470000, unit: 'jour' },
+    [UNLIMITED_KM_OPTION]: { amount: 280000, unit: 'jour' },
+    Tiers: { amount: 0, unit: 'jour' },
+    'Tous risques': { amount: 235000, unit: 'jour' },
+    'Vol/Incendie': { amount: 0, unit: 'jour' },
+    GPS: { amount: 95000, unit: 'jour' },
+    'Siège bébé': { amount: 95000, unit: 'jour' },
+    'Wi-Fi': { amount: 95000, unit: 'jour' }
+  },
+  // Frais constatés à la restitution
+  extraCharges: {
+    includedKmPerDay: 250,
+    excessKmRate: 2500,
+    fuelEighthRate: 90000,
+    lateGraceMinutes: 60
+  }
+};
+
+export const PRICED_OPTIONS = [DRIVER_OPTION, UNLIMITED_KM_OPTION, ...INSURANCE_OPTIONS, ...EQUIPMENT_OPTIONS];
+
+// Frais de restitution exprimés en montant (les autres sont des kilomètres ou des minutes)
+const EXTRA_CHARGE_AMOUNTS = ['excessKmRate', 'fuelEighthRate'];
+
+// Frais par défaut (en GNF) convertis dans la devise des règles enregistrées
+const getDefaultExtraCharges = (currency) => {
+  const defaults = DEFAULT_PRICING_RULES.extraCharges;
+  if (currency === DEFAULT_PRICING_RULES.currency) return defaults;
+
+  const { rates } = getCurrencySettings();
+  const factor = 10 ** getCurrency(currency).decimals;
+  return {
+    ...defaults,
+    ...Object.fromEntries(EXTRA_CHARGE_AMOUNTS.map(field => [
+      field,
+      Math.round(convertAmount(defaults[field], DEFAULT_PRICING_RULES.currency, currency, rates) * factor) / factor
+    ]))
+  };
+};
+
+// Complète les règles enregistrées avec les valeurs par défaut (nouvelles catégories ou options) ;
+// des règles enregistrées sans devise sont en euros
+export const resolvePricingRules = (stored) => {
+  const currency = stored ? stored.currency || LEGACY_CURRENCY : DEFAULT_PRICING_RULES.currency;
+
+  return {
+    ...DEFAULT_PRICING_RULES,
+    ...stored,
+    currency,
+    categoryRates: { ...DEFAULT_PRICING_RULES.categoryRates, ...stored?.categoryRates },
+    optionPrices: { ...DEFAULT_PRICING_RULES.optionPrices, ...stored?.optionPrices },
+    extraCharges: { ...getDefaultExtraCharges(currency), ...stored?.extraCharges }
+  };
+};
+
+// Saison active à une date ; les bornes sont au format "JJ/MM" et une saison peut chevaucher le nouvel an
+const toMonthDay = (value) => {
+  const [day, month] = String(value).split('/').map(Number);
+  return month * 100 + day;
+};
+
+const findSeason = (seasons, date) => {
+  const current = (date.getMonth() + 1) * 100 + date.getDate();
+  return seasons.find(season => {
+    const from = toMonthDay(season.from);
+    const to = toMonthDay(season.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) return false;
+    return from <= to ? current >= from && current <= to : current >= from || current <= to;
+  });
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Kilomètres au-delà du forfait, carburant manquant et retard, d'après les états des lieux
+export const computeExtraCharges = (reservation, rules, days) => {
+  const { checkOut, checkIn } = reservation;
+  if (!checkOut || !checkIn) return [];
+
+  const charges = rules.extraCharges;
+  const { distance, fuelDifference } = compareInspections(checkOut, checkIn);
+  const lines = [];
+
+  const includedKm = (Number(charges.includedKmPerDay) || 0) * days;
+  const excessKm = distance - includedKm;
+  const kmRate = Number(charges.excessKmRate) || 0;
+  if (!reservation.unlimitedKm && excessKm > 0 && kmRate) {
+    lines.push({
+      label: 'Kilomètres supplémentaires',
+      detail: `${distance} km parcourus, ${includedKm} inclus : ${excessKm} km × ${kmRate}`,
+      amount: excessKm * kmRate
+    });
+  }
+
+  const fuelRate = Number(charges.fuelEighthRate) || 0;
+  if (fuelDifference < 0 && fuelRate) {
+    lines.push({
+      label: 'Carburant manquant',
+      detail: `${-fuelDifference}/8 de réservoir × ${fuelRate}`,
+      amount: -fuelDifference * fuelRate
+    });
+  }
+
+  // Retard au-delà de la tolérance : heures entamées au tarif horaire, plafonnées au tarif journalier
+  const expectedReturn = new Date(`${reservation.endDate}T${reservation.endTime}`);
+  const delay = new Date(checkIn.date) - expectedReturn;
+  if (delay > (Number(charges.lateGraceMinutes) || 0) * 60 * 1000) {
+    const rates = rules.categoryRates[reservation.vehicleType] || {};
+    const lateHours = Math.ceil(delay / HOUR);
+    const hourlyRate = Number(rates.heure) || 0;
+    const dailyRate = Number(rates.jour) || 0;
+    const amount = dailyRate
+      ? Math.floor(lateHours / 24) * dailyRate + Math.min((lateHours % 24) * hourlyRate, dailyRate)
+      : lateHours * hourlyRate;
+    if (amount) {
+      lines.push({ label: 'Retard de restitution', detail: `${lateHours} h entamées`, amount });
+    }
+  }
+
+  return lines;
+};
+
+// Le prix est exprimé dans la devise des règles
+export const computePrice = (reservation, rules) => {
+  const emptyPrice = { total: 0, lines: [], days: 0, hours: 0, currency: rules.currency };
+  const { startDate, startTime, endDate, endTime } = reservation;
+  if (!startDate || !startTime || !endDate || !endTime) return emptyPrice;
+
+  const start = new Date(`${startDate}T${startTime}`);
+  const end = new Date(`${endDate}T${endTime}`);
+  const duration = end - start;
+  if (Number.isNaN(duration) || duration <= 0) return emptyPrice;
+
+  const hourly = rules.billing === 'heure';
+  const unitLength = hourly ? HOUR : DAY;
+  const units = Math.ceil(duration / unitLength);
+  const days = Math.ceil(duration / DAY);
+  const rate = Number(rules.categoryRates[reservation.vehicleType]?.[rules.billing]) || 0;
+  const unitLabel = hourly ? 'h' : 'j';
+
+  const lines = [{
+    label: `Location ${reservation.vehicleType || ''}`.trim(),
+    detail: `${units} ${unitLabel} × ${rate}`,
+    amount: units * rate
+  }];
+
+  // Majorations week-end et saisonnières, unité par unité
+  let weekendUnits = 0;
+  const seasonUnits = {};
+  for (let i = 0; i < units; i++) {
+    const date = new Date(start.getTime() + i * unitLength);
+    if (date.getDay() === 0 || date.getDay() === 6) weekendUnits++;
+    const season = findSeason(rules.seasons || [], date);
+    if (season) seasonUnits[season.label] = (seasonUnits[season.label] || 0) + 1;
+  }
+
+  const weekendSurcharge = Number(rules.weekendSurcharge) || 0;
+  if (weekendUnits > 0 && weekendSurcharge) {
+    lines.push({
+      label: 'Majoration week-end',
+      detail: `${weekendUnits} ${unitLabel} × ${weekendSurcharge} %`,
+      amount: weekendUnits * rate * weekendSurcharge / 100
+    });
+  }
+
+  Object.entries(seasonUnits).forEach(([label, count]) => {
+    const adjustment = Number(rules.seasons.find(season => season.label === label).adjustment) || 0;
+    if (!adjustment) return;
+    lines.push({
+      label,
+      detail: `${count} ${unitLabel} × ${adjustment > 0 ? '+' : ''}${adjustment} %`,
+      amount: count * rate * adjustment / 100
+    });
+  });
+
+  // Remise longue durée : le palier le plus élevé atteint
+  const rentalSubtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  const discount = (rules.longRentalDiscounts || [])
+    .filter(tier => days >= Number(tier.minDays))
+    .sort((a, b) => Number(b.minDays) - Number(a.minDays))[0];
+  if (discount && Number(discount.percent)) {
+    lines.push({
+      label: 'Remise longue durée',
+      detail: `${discount.minDays} j et plus, -${discount.percent} %`,
+      amount: -rentalSubtotal * Number(discount.percent) / 100
+    });
+  }
+
+  getReservationOptions(reservation).forEach(option => {
+    const price = rules.optionPrices[option];
+    const amount = Number(price?.amount) || 0;
+    if (!amount) return;
+    lines.push({
+      label: option,
+      detail: price.unit === 'forfait' ? 'forfait' : `${days} j × ${amount}`,
+      amount: price.unit === 'forfait' ? amount : amount * days
+    });
+  });
+
+  lines.push(...computeExtraCharges(reservation, rules, days));
+
+  const roundedLines = lines.map(line => ({ ...line, amount: round(line.amount) }));
+  return {
+    total: round(roundedLines.reduce((sum, line) => sum + line.amount, 0)),
+    lines: roundedLines,
+    days,
+    hours: Math.ceil(duration / HOUR),
+    currency: rules.currency
+  };
+};
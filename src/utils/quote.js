@@ -0,0 +1,80 @@
+// Chiffrage (devis détaillé) établi à partir d'une demande de devis
+//
+// Les versions sont stockées sur la demande sous forme de liste
+// [{ version, date, par, remarque, devise, lignes, totaux }], la plus ancienne en premier.
+import { LEGACY_CURRENCY } from './currency';
+
+export const QUOTE_CATEGORIES = [
+  { value: 'main_oeuvre', label: "Main-d'œuvre" },
+  { value: 'materiaux', label: 'Matériaux' },
+  { value: 'fournitures', label: 'Fournitures' }
+];
+
+// Taux de TVA appliqué par défaut aux nouvelles lignes (%)
+export const DEFAULT_TAX_RATE = 18;
+
+// Durée de validité affichée sur le document (jours)
+export const QUOTE_VALIDITY_DAYS = 30;
+
+export const getCategoryLabel = (value) => {
+  return QUOTE_CATEGORIES.find(category => category.value === value)?.label || value;
+};
+
+export const createQuoteLine = (categorie = QUOTE_CATEGORIES[0].value) => ({
+  categorie,
+  designation: '',
+  quantite: 1,
+  prix_unitaire: 0,
+  remise: 0,
+  tva: DEFAULT_TAX_RATE
+});
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Montants d'une ligne : remise et TVA en pourcentage
+export const computeLineTotals = (line) => {
+  const brut = (Number(line.quantite) || 0) * (Number(line.prix_unitaire) || 0);
+  const remise = brut * (Number(line.remise) || 0) / 100;
+  const ht = brut - remise;
+  const tva = ht * (Number(line.tva) || 0) / 100;
+  return { brut: round(brut), remise: round(remise), ht: round(ht), tva: round(tva), ttc: round(ht + tva) };
+};
+
+export const computeQuoteTotals = (lines) => {
+  const totals = lines.map(computeLineTotals).reduce((sum, line) => ({
+    brut: sum.brut + line.brut,
+    remise: sum.remise + line.remise,
+    ht: sum.ht + line.ht,
+    tva: sum.tva + line.tva,
+    ttc: sum.ttc + line.ttc
+  }), { brut: 0, remise: 0, ht: 0, tva: 0, ttc: 0 });
+
+  return Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round(value)]));
+};
+
+// Sous-totaux HT par catégorie, dans l'ordre des catégories
+export const computeCategorySubtotals = (lines) => {
+  return QUOTE_CATEGORIES
+    .map(category => ({
+      ...category,
+      ht: round(lines
+        .filter(line => line.categorie === category.value)
+        .reduce((sum, line) => sum + computeLineTotals(line).ht, 0))
+    }))
+    .filter(category => category.ht !== 0);
+};
+
+export const createQuoteVersion = (versions, lines, { user, note, currency } = {}) => ({
+  version: versions.length + 1,
+  date: new Date().toISOString(),
+  par: user?.email || user?.nom || null,
+  remarque: note?.trim() || null,
+  devise: currency,
+  lignes: lines.map(line => ({ ...line, designation: line.designation.trim() })),
+  totaux: computeQuoteTotals(lines)
+});
+
+export const getQuoteNumber = (devisId, version) => `DEV-${devisId}-V${version}`;
+
+// Les versions antérieures aux devises étaient chiffrées en euros
+export const getQuoteCurrency = (quote) => quote?.devise || LEGACY_CURRENCY;
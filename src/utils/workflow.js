@@ -0,0 +1,98 @@
+// Cycles de vie (statuts et transitions autorisées) des enregistrements du backend
+//
+// L'historique est stocké sur l'enregistrement sous forme de liste
+// [{ statut, date, par, commentaire }], la plus ancienne transition en premier.
+
+// Délai de réponse promis aux clients pour une nouvelle demande de devis
+export const DEVIS_RESPONSE_DELAY_HOURS = 24;
+
+export const DEVIS_WORKFLOW = {
+  initial: 'nouveau',
+  statuses: [
+    { value: 'nouveau', label: 'Nouveau', color: 'info' },
+    { value: 'contacte', label: 'Contacté', color: 'primary' },
+    { value: 'visite_planifiee', label: 'Visite planifiée', color: 'primary' },
+    { value: 'devis_envoye', label: 'Devis envoyé', color: 'warning' },
+    { value: 'accepte', label: 'Accepté', color: 'success' },
+    { value: 'refuse', label: 'Refusé', color: 'danger' }
+  ],
+  transitions: {
+    nouveau: ['contacte', 'refuse'],
+    contacte: ['visite_planifiee', 'devis_envoye', 'refuse'],
+    visite_planifiee: ['devis_envoye', 'refuse'],
+    devis_envoye: ['accepte', 'refuse'],
+    accepte: [],
+    refuse: ['contacte']
+  }
+};
+
+// Cycle de vie d'une location : l'annulation conserve la réservation et son historique
+export const RESERVATION_WORKFLOW = {
+  initial: 'en_attente',
+  statuses: [
+    { value: 'en_attente', label: 'En attente', color: 'warning' },
+    { value: 'confirmee', label: 'Confirmée', color: 'primary' },
+    { value: 'vehicule_remis', label: 'Véhicule remis', color: 'info' },
+    { value: 'restituee', label: 'Restituée', color: 'success' },
+    { value: 'annulee', label: 'Annulée', color: 'danger' }
+  ],
+  transitions: {
+    en_attente: ['confirmee', 'annulee'],
+    confirmee: ['vehicule_remis', 'annulee'],
+    vehicule_remis: ['restituee'],
+    restituee: [],
+    annulee: []
+  }
+};
+
+export const getStatus = (workflow, value) => {
+  return workflow.statuses.find(status => status.value === value)
+    || { value, label: value || 'Inconnu', color: 'secondary' };
+};
+
+export const getNextStatuses = (workflow, value) => {
+  return (workflow.transitions[value] || []).map(next => getStatus(workflow, next));
+};
+
+export const canTransition = (workflow, from, to) => {
+  return (workflow.transitions[from] || []).includes(to);
+};
+
+// Options { value, label } pour les listes de filtres
+export const getStatusOptions = (workflow) => {
+  return workflow.statuses.map(({ value, label }) => ({ value, label }));
+};
+
+// Nombre d'enregistrements par statut : { nouveau: 3, contacte: 1, ... }
+export const countByStatus = (workflow, items) => {
+  return workflow.statuses.reduce((counts, status) => ({
+    ...counts,
+    [status.value]: items.filter(item => item.status === status.value).length
+  }), {});
+};
+
+// Nouvelle demande de devis restée sans réponse au-delà du délai promis
+export const isResponseOverdue = (devis, now = Date.now()) => {
+  if (devis.status !== DEVIS_WORKFLOW.initial || !devis.createdAt) return false;
+  return new Date(devis.createdAt).getTime() < now - DEVIS_RESPONSE_DELAY_HOURS * 60 * 60 * 1000;
+};
+
+export const createHistoryEntry = (status, { user, comment } = {}) => ({
+  statut: status,
+  date: new Date().toISOString(),
+  par: user?.email || user?.nom || null,
+  commentaire: comment?.trim() || null
+});
+
+// Le backend peut renvoyer l'historique sous forme de tableau ou de JSON sérialisé
+export const parseHistory = (history) => {
+  if (Array.isArray(history)) return history;
+  if (typeof history !== 'string' || !history) return [];
+
+  try {
+    const parsed = JSON.parse(history);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};